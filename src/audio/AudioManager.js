@@ -161,6 +161,7 @@ export class AudioManager {
             // Combat sounds
             'gunshot': './assets/audio/sfx/gunshot.wav',
             'reload': './assets/audio/sfx/reload.wav',
+            'takedown': './assets/audio/sfx/takedown.wav',
 
             // Movement sounds
             'footstep_concrete': './assets/audio/sfx/footstep_concrete.wav',
@@ -177,6 +178,13 @@ export class AudioManager {
             'enemy_growl': './assets/audio/sfx/enemy_growl.wav',
             'enemy_attack': './assets/audio/sfx/enemy_attack.wav',
 
+            // Mimicked team voices
+            'voice_help_me': './assets/audio/sfx/voices/help_me.wav',
+            'voice_over_here': './assets/audio/sfx/voices/over_here.wav',
+            'voice_dont_leave': './assets/audio/sfx/voices/dont_leave.wav',
+            'radio_check_in': './assets/audio/sfx/voices/radio_check_in.wav',
+            'radio_my_position': './assets/audio/sfx/voices/radio_my_position.wav',
+
             // Signal/Horror sounds
             'signal_pulse': './assets/audio/sfx/signal_pulse.wav',
             'heartbeat': './assets/audio/sfx/heartbeat.wav',
@@ -0,0 +1,128 @@
+import * as THREE from 'three';
+
+export class AnimationController {
+    constructor(root, clips = [], clipSpeeds = {}) {
+        this.root = root;
+        this.mixer = new THREE.AnimationMixer(root);
+        this.clipSpeeds = clipSpeeds; // clip name -> metres per second its root moved before it was stripped
+
+        // AI state -> animation. 'move' is idle, walk or run depending on how fast the character is going
+        this.stateAnimations = {
+            idle: 'idle',
+            patrol: 'move',
+            investigate: 'move',
+            search: 'move',
+            chase: 'move',
+            flee: 'move',
+            ambush: 'move',
+            cover: 'move',
+            lure: 'idle',
+            surrender: 'idle',
+            attack: 'attack',
+            stagger: 'stagger',
+            takedown: 'stagger',
+            death: 'death'
+        };
+
+        // Clip names to look for, best match first
+        this.clipNames = {
+            idle: ['idle'],
+            walk: ['walk'],
+            run: ['run', 'sprint', 'walk'],
+            attack: ['attack', 'punch', 'shoot'],
+            stagger: ['hit', 'stagger', 'react'],
+            death: ['death', 'die', 'dying']
+        };
+        this.oneShots = ['stagger', 'death']; // played once, holding the last frame
+
+        // Blending
+        this.crossFadeDuration = 0.25;
+
+        // Speed matching
+        this.moveThreshold = 0.2; // slower than this counts as standing still
+        this.runThreshold = 2.5; // faster than this runs rather than walks
+        this.defaultClipSpeeds = { walk: 1.4, run: 3.5 }; // for clips without root motion to measure
+        this.minTimeScale = 0.5;
+        this.maxTimeScale = 2.0;
+
+        this.actions = {}; // animation -> AnimationAction
+        this.currentAnimation = null;
+        this.currentAction = null;
+
+        this.createActions(clips);
+    }
+
+    createActions(clips) {
+        Object.entries(this.clipNames).forEach(([animation, names]) => {
+            for (const name of names) {
+                const clip = clips.find(candidate => candidate.name.toLowerCase().includes(name));
+                if (clip) {
+                    this.actions[animation] = this.mixer.clipAction(clip);
+                    break;
+                }
+            }
+        });
+    }
+
+    update(deltaTime, state, speed) {
+        this.play(this.getAnimation(state, speed));
+        this.matchSpeed(speed);
+        this.mixer.update(deltaTime);
+    }
+
+    getAnimation(state, speed) {
+        const animation = this.stateAnimations[state] || 'idle';
+        if (animation !== 'move') return animation;
+
+        if (speed < this.moveThreshold) return 'idle';
+        return speed < this.runThreshold ? 'walk' : 'run';
+    }
+
+    play(animation, fadeDuration = this.crossFadeDuration) {
+        // Anything without its own clip falls back to idle
+        const action = this.actions[animation] || this.actions.idle;
+        if (!action || action === this.currentAction) return;
+
+        action.reset();
+        if (this.oneShots.includes(animation)) {
+            action.setLoop(THREE.LoopOnce, 1);
+            action.clampWhenFinished = true;
+        }
+        action.play();
+
+        if (this.currentAction) {
+            this.currentAction.crossFadeTo(action, fadeDuration, false);
+        }
+
+        this.currentAnimation = animation;
+        this.currentAction = action;
+    }
+
+    matchSpeed(speed) {
+        // Feet keep pace with the ground instead of sliding over it
+        if (!this.currentAction) return;
+
+        if (this.currentAnimation !== 'walk' && this.currentAnimation !== 'run') {
+            this.currentAction.timeScale = 1;
+            return;
+        }
+
+        const clipSpeed = this.clipSpeeds[this.currentAction.getClip().name] || this.defaultClipSpeeds[this.currentAnimation];
+        this.currentAction.timeScale = THREE.MathUtils.clamp(speed / clipSpeed, this.minTimeScale, this.maxTimeScale);
+    }
+
+    hasAnimation(animation) {
+        return !!this.actions[animation];
+    }
+
+    reset() {
+        this.mixer.stopAllAction();
+        this.currentAnimation = null;
+        this.currentAction = null;
+    }
+
+    dispose() {
+        this.mixer.stopAllAction();
+        this.mixer.uncacheRoot(this.root);
+    }
+}
@@ -0,0 +1,161 @@
+export class BossManager {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.player = gameEngine.player;
+        this.enemyManager = gameEngine.enemyManager;
+        this.worldManager = gameEngine.worldManager;
+        this.storyManager = gameEngine.storyManager;
+
+        // Act 3 survivor encounter
+        this.arenaRoom = 'Communications Tower';
+        this.encounterAct = 2; // The Signal's Heart
+
+        this.survivor = null;
+        this.fightActive = false;
+        this.sealedDoors = []; // doors locked for the fight, reopened afterwards
+
+        this.init();
+    }
+
+    init() {
+        console.log('⚔️ Initializing Boss Manager...');
+        console.log('✅ Boss Manager initialized');
+    }
+
+    update(deltaTime) {
+        if (!this.survivor) {
+            if (this.shouldStartFight()) {
+                this.startFight();
+            }
+            return;
+        }
+
+        const survivor = this.survivor;
+        if (!survivor.isAlive) {
+            // Killed in the fight, or finished off after giving up
+            this.survivor = null;
+            this.endFight();
+            this.storyManager.handleSurvivorEvent('killed');
+        } else if (!survivor.isActive) {
+            // Left far enough behind to despawn - it'll be waiting next time
+            this.survivor = null;
+            this.endFight();
+        } else if (this.fightActive && survivor.state === 'surrender') {
+            this.endFight();
+            this.storyManager.handleSurvivorEvent('spared');
+        }
+    }
+
+    shouldStartFight() {
+        const flags = this.storyManager.flags;
+        if (flags.survivorKilled || flags.survivorSpared) return false;
+        if (this.storyManager.currentAct < this.encounterAct) return false;
+
+        return this.worldManager.getAreaName(this.player.position) === this.arenaRoom;
+    }
+
+    startFight() {
+        // One already up and about (restored from a save) is the one to fight
+        this.survivor = this.findSurvivor();
+        if (!this.survivor) {
+            const spawnPoint = this.getArenaSpawnPoint();
+            if (!spawnPoint) return;
+
+            this.survivor = this.enemyManager.spawnEnemy({ ...spawnPoint, type: 'survivor' });
+            if (!this.survivor) return;
+        }
+
+        this.survivor.state = 'chase';
+        this.fightActive = true;
+        this.sealArena();
+
+        this.storyManager.handleSurvivorEvent('encountered');
+    }
+
+    endFight() {
+        if (!this.fightActive) return;
+
+        this.fightActive = false;
+        this.unsealArena();
+    }
+
+    findSurvivor(spawnId = null) {
+        return this.enemyManager.activeEnemies.find(enemy =>
+            enemy.type === 'survivor' && enemy.isAlive && (spawnId === null || enemy.spawnId === spawnId)
+        ) || null;
+    }
+
+    getArenaSpawnPoint() {
+        // Across the arena from wherever the player came in
+        const playerPosition = this.player.position;
+        let best = null;
+
+        this.enemyManager.spawnPoints.forEach(spawnPoint => {
+            if (spawnPoint.room !== this.arenaRoom) return;
+            if (!best || spawnPoint.position.distanceTo(playerPosition) > best.position.distanceTo(playerPosition)) {
+                best = spawnPoint;
+            }
+        });
+
+        return best;
+    }
+
+    // Arena
+    sealArena() {
+        this.sealedDoors = this.worldManager.getDoors().filter(door =>
+            door.connects.includes(this.arenaRoom) && !door.isLocked
+        );
+        this.sealedDoors.forEach(door => this.worldManager.lockDoor(door.name));
+    }
+
+    unsealArena() {
+        this.sealedDoors.forEach(door => this.worldManager.unlockDoor(door.name, null));
+        this.sealedDoors = [];
+    }
+
+    // Getters
+    isFightActive() {
+        return this.fightActive;
+    }
+
+    getDebugInfo() {
+        return {
+            fightActive: this.fightActive,
+            survivorHealth: this.survivor ? this.survivor.health : null,
+            survivorPhase: this.survivor ? this.survivor.behaviorData.phase : null,
+            sealedDoors: this.sealedDoors.map(door => door.name)
+        };
+    }
+
+    // Save/Load
+    getSaveData() {
+        return {
+            fightActive: this.fightActive,
+            survivorId: this.survivor ? this.survivor.spawnId : null,
+            sealedDoors: this.sealedDoors.map(door => door.name)
+        };
+    }
+
+    loadSaveData(saveData = {}) {
+        // Runs after the world and enemies are restored - the doors are already locked again
+        this.survivor = typeof saveData.survivorId === 'number' ? this.findSurvivor(saveData.survivorId) : null;
+        this.fightActive = !!saveData.fightActive;
+        this.sealedDoors = (saveData.sealedDoors || [])
+            .map(name => this.worldManager.getDoors().find(door => door.name === name))
+            .filter(Boolean);
+
+        // Nobody left to fight - open the arena back up
+        if (this.fightActive && !this.survivor) {
+            this.endFight();
+        }
+    }
+
+    reset() {
+        this.endFight();
+        this.survivor = null;
+    }
+
+    cleanup() {
+        this.reset();
+    }
+}
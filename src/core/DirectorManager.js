@@ -0,0 +1,318 @@
+import * as THREE from 'three';
+
+export class DirectorManager {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.player = gameEngine.player;
+        this.enemyManager = gameEngine.enemyManager;
+        this.storyManager = gameEngine.storyManager;
+        this.effectManager = gameEngine.effectManager;
+
+        // Stress - how much each part of the player's state counts (sums to 1)
+        this.stressWeights = {
+            health: 0.25,
+            madness: 0.15,
+            ammo: 0.1,
+            battery: 0.1,
+            damage: 0.2,
+            encounter: 0.2
+        };
+        this.stressSmoothing = 0.5; // how quickly stress follows the player's state
+        this.recentDamageDecay = 5; // health points forgotten per second
+        this.recentDamageCap = 30; // this much recent damage counts as fully stressed
+        this.encounterRange = 25; // enemies hunting the player within this range count as an encounter
+        this.encounterFade = 30; // seconds after an encounter before it stops adding stress
+        this.encounterStates = ['chase', 'attack', 'ambush', 'cover'];
+
+        // Phases - build-up -> peak -> relief -> build-up
+        this.phases = {
+            buildup: {
+                spawnInterval: 20,
+                maxEnemies: 3,
+                spawnRange: [20, 30]
+            },
+            peak: {
+                spawnInterval: 6,
+                maxEnemies: 6,
+                spawnRange: [15, 25]
+            },
+            relief: {
+                spawnInterval: Infinity,
+                maxEnemies: 0,
+                spawnRange: [20, 30]
+            }
+        };
+        this.peakStress = 0.65; // build-up breaks into a peak at this stress
+        this.maxBuildupDuration = 90; // ...or after this long, whatever the player's state
+        this.peakWaveSize = 2; // enemies sent in when a peak starts
+        this.minPeakDuration = 10;
+        this.maxPeakDuration = 40;
+        this.maxStress = 0.9; // peak ends early once the player is this stressed
+        this.reliefStress = 0.35; // relief lasts until stress drops below this...
+        this.minReliefDuration = 30;
+        this.maxReliefDuration = 90; // ...but never longer than this
+
+        // Scares - only during quiet stretches of a build-up
+        this.decisionInterval = 2; // seconds between scare rolls
+        this.scareQuietTime = 25; // seconds since the last encounter before scares start
+        this.hallucinationChance = 0.15;
+        this.hallucinationCooldown = 60;
+        this.hallucinationDuration = 8;
+        this.madnessEventChance = 0.1;
+        this.madnessEventCooldown = 120;
+        this.madnessEventThreshold = 0.25; // player madness needed for a madness event
+
+        this.init();
+    }
+
+    init() {
+        console.log('🎬 Initializing Director Manager...');
+
+        // Spawning is decided here from now on
+        this.enemyManager.autoSpawn = false;
+
+        this.reset();
+
+        console.log('✅ Director Manager initialized');
+    }
+
+    update(deltaTime) {
+        this.time += deltaTime;
+        this.phaseTime += deltaTime;
+
+        this.updateStress(deltaTime);
+        this.updatePhase();
+        this.updateSpawning(deltaTime);
+        this.updateScares(deltaTime);
+    }
+
+    // Stress
+    updateStress(deltaTime) {
+        const player = this.player;
+
+        // Damage taken since last frame
+        const health = player.getHealth();
+        if (this.lastHealth !== null && health < this.lastHealth) {
+            this.recentDamage += this.lastHealth - health;
+        }
+        this.lastHealth = health;
+        this.recentDamage = Math.max(0, this.recentDamage - this.recentDamageDecay * deltaTime);
+
+        // Anything hunting the player nearby counts as an encounter
+        const inEncounter = this.enemyManager.activeEnemies.some(enemy =>
+            enemy.isAlive &&
+            this.encounterStates.includes(enemy.state) &&
+            enemy.position.distanceTo(player.position) < this.encounterRange
+        );
+        if (inEncounter) {
+            this.timeSinceEncounter = 0;
+        } else {
+            this.timeSinceEncounter += deltaTime;
+        }
+
+        this.stressFactors = {
+            health: 1 - health / player.getMaxHealth(),
+            madness: player.getMadnessLevel() / player.maxMadness,
+            ammo: 1 - this.getAmmoFraction(),
+            battery: 1 - player.getBatteryLevel(),
+            damage: Math.min(1, this.recentDamage / this.recentDamageCap),
+            encounter: Math.max(0, 1 - this.timeSinceEncounter / this.encounterFade)
+        };
+
+        let target = 0;
+        Object.entries(this.stressWeights).forEach(([factor, weight]) => {
+            target += THREE.MathUtils.clamp(this.stressFactors[factor], 0, 1) * weight;
+        });
+
+        this.stress += (target - this.stress) * Math.min(1, deltaTime * this.stressSmoothing);
+    }
+
+    getAmmoFraction() {
+        const weapon = this.player.getCurrentWeapon();
+        if (!weapon || !weapon.clipSize) return 1; // melee never runs dry
+
+        return (weapon.currentClip + weapon.ammo) / (weapon.clipSize + weapon.maxAmmo);
+    }
+
+    // Phases
+    updatePhase() {
+        switch (this.phase) {
+            case 'buildup':
+                if (this.stress >= this.peakStress || this.phaseTime >= this.maxBuildupDuration) {
+                    this.startPhase('peak');
+                }
+                break;
+
+            case 'peak':
+                if (this.phaseTime >= this.maxPeakDuration ||
+                    (this.stress >= this.maxStress && this.phaseTime >= this.minPeakDuration)) {
+                    this.startPhase('relief');
+                }
+                break;
+
+            case 'relief':
+                if ((this.stress <= this.reliefStress && this.phaseTime >= this.minReliefDuration) ||
+                    this.phaseTime >= this.maxReliefDuration) {
+                    this.startPhase('buildup');
+                }
+                break;
+        }
+    }
+
+    startPhase(phase) {
+        this.phase = phase;
+        this.phaseTime = 0;
+        this.spawnTimer = this.phases[phase].spawnInterval;
+
+        switch (phase) {
+            case 'peak':
+                // Something finds the player, even if the build-up never got there
+                this.endHallucination();
+                for (let i = 0; i < this.peakWaveSize; i++) {
+                    this.spawnEnemy();
+                }
+                break;
+
+            case 'relief':
+                this.endHallucination();
+                break;
+        }
+
+        console.log(`🎬 Director phase: ${phase} (stress ${this.stress.toFixed(2)})`);
+    }
+
+    // Spawning
+    updateSpawning(deltaTime) {
+        this.spawnTimer -= deltaTime;
+        if (this.spawnTimer > 0) return;
+
+        this.spawnTimer = this.phases[this.phase].spawnInterval;
+        this.spawnEnemy();
+    }
+
+    spawnEnemy() {
+        // The boss fight paces itself - no waves or stragglers while it's on
+        if (this.isBossFightActive()) return null;
+
+        const settings = this.phases[this.phase];
+        if (this.enemyManager.getEnemyCount() >= Math.min(settings.maxEnemies, this.enemyManager.maxActiveEnemies)) {
+            return null;
+        }
+
+        const spawnPoint = this.chooseSpawnPoint(settings.spawnRange);
+        if (!spawnPoint) return null;
+
+        const enemy = this.enemyManager.spawnEnemy(spawnPoint);
+        if (enemy && this.phase === 'peak') {
+            // Peak spawns come looking for the player
+            enemy.state = 'investigate';
+            enemy.stateTimer = 0;
+            enemy.investigationPoint = this.player.position.clone();
+        }
+        return enemy;
+    }
+
+    chooseSpawnPoint([minDistance, maxDistance]) {
+        // Out of sight, in range, and somewhere the current act has enemies
+        const candidates = this.enemyManager.getValidSpawnPoints(this.player, minDistance, maxDistance);
+        if (candidates.length === 0) return null;
+
+        return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+
+    // Scares
+    updateScares(deltaTime) {
+        if (this.hallucinationActive && this.time - this.lastHallucinationTime > this.hallucinationDuration) {
+            this.endHallucination();
+        }
+
+        this.decisionTimer -= deltaTime;
+        if (this.decisionTimer > 0) return;
+        this.decisionTimer = this.decisionInterval;
+
+        // Real enemies do the work at a peak, and relief is left alone
+        if (this.phase !== 'buildup' || this.timeSinceEncounter < this.scareQuietTime) return;
+        if (this.isBossFightActive()) return;
+
+        const madness = this.player.getMadnessLevel();
+
+        if (madness >= this.madnessEventThreshold &&
+            this.time - this.lastMadnessEventTime > this.madnessEventCooldown &&
+            Math.random() < this.madnessEventChance) {
+            this.lastMadnessEventTime = this.time;
+            this.storyManager.triggerMadnessEvent();
+            return;
+        }
+
+        if (!this.hallucinationActive &&
+            this.time - this.lastHallucinationTime > this.hallucinationCooldown &&
+            Math.random() < this.hallucinationChance) {
+            this.startHallucination(0.3 + madness * 0.5);
+        }
+    }
+
+    startHallucination(intensity) {
+        this.hallucinationActive = true;
+        this.lastHallucinationTime = this.time;
+        this.effectManager.activateHallucinations(intensity);
+    }
+
+    endHallucination() {
+        if (!this.hallucinationActive) return;
+
+        this.hallucinationActive = false;
+        this.effectManager.deactivateHallucinations();
+    }
+
+    isBossFightActive() {
+        // Created after the director
+        const bossManager = this.gameEngine.bossManager;
+        return bossManager ? bossManager.isFightActive() : false;
+    }
+
+    // Getters
+    getStress() {
+        return this.stress;
+    }
+
+    getPhase() {
+        return this.phase;
+    }
+
+    getDebugInfo() {
+        return {
+            phase: this.phase,
+            phaseTime: this.phaseTime,
+            stress: this.stress,
+            stressFactors: this.stressFactors,
+            timeSinceEncounter: this.timeSinceEncounter,
+            hallucinationActive: this.hallucinationActive
+        };
+    }
+
+    reset() {
+        if (this.hallucinationActive) {
+            this.endHallucination();
+        }
+
+        this.time = 0;
+        this.stress = 0;
+        this.stressFactors = {};
+        this.lastHealth = null;
+        this.recentDamage = 0;
+        this.timeSinceEncounter = this.encounterFade;
+
+        this.phase = 'buildup';
+        this.phaseTime = 0;
+        this.spawnTimer = this.phases.buildup.spawnInterval;
+
+        this.decisionTimer = this.decisionInterval;
+        this.hallucinationActive = false;
+        this.lastHallucinationTime = -Infinity;
+        this.lastMadnessEventTime = -Infinity;
+    }
+
+    cleanup() {
+        this.reset();
+    }
+}
@@ -1,9 +1,18 @@
 import * as THREE from 'three';
+import { SoldierBehavior } from './SoldierBehavior.js';
+import { ScientistBehavior } from './ScientistBehavior.js';
+import { SignalEntityBehavior } from './SignalEntityBehavior.js';
+import { SurvivorBehavior } from './SurvivorBehavior.js';
+import { SquadTactics } from './SquadTactics.js';
+import { RoomSearch } from './RoomSearch.js';
+import { AnimationController } from './AnimationController.js';
 
 export class EnemyManager {
-    constructor(scene, physicsManager) {
+    constructor(scene, physicsManager, navigationManager = null, worldManager = null) {
         this.scene = scene;
         this.physicsManager = physicsManager;
+        this.navigationManager = navigationManager;
+        this.worldManager = worldManager;
 
         // Enemy collections
         this.enemies = [];
@@ -20,6 +29,11 @@ export class EnemyManager {
                 attackRange: 2,
                 attackDamage: 15,
                 model: 'scientist',
+                behavior: 'scientist',
+                staggerThreshold: 30, // damage in quick succession that knocks it off balance
+                ragdoll: 'humanoid',
+                repelledByLight: false,
+                mimicsVoices: true, // calls out in the team's voices to lure the player
                 sounds: {
                     idle: 'scientist_idle',
                     alert: 'scientist_alert',
@@ -35,6 +49,11 @@ export class EnemyManager {
                 attackRange: 3,
                 attackDamage: 25,
                 model: 'soldier',
+                behavior: 'soldier',
+                staggerThreshold: 50,
+                ragdoll: 'humanoid',
+                repelledByLight: false,
+                mimicsVoices: false,
                 sounds: {
                     idle: 'soldier_idle',
                     alert: 'soldier_alert',
@@ -50,34 +69,242 @@ export class EnemyManager {
                 attackRange: 1.5,
                 attackDamage: 20,
                 model: 'entity',
+                behavior: 'entity',
+                staggerThreshold: 25,
+                ragdoll: 'wisp',
+                repelledByLight: true, // keeps away from flares
+                mimicsVoices: true,
                 sounds: {
                     idle: 'entity_idle',
                     alert: 'entity_alert',
                     attack: 'entity_attack',
                     death: 'entity_death'
                 }
+            },
+            survivor: {
+                name: 'Survivor',
+                health: 400,
+                speed: 3.5,
+                detectionRange: 30,
+                attackRange: 2.5,
+                attackDamage: 20,
+                model: 'soldier',
+                behavior: 'survivor',
+                staggerThreshold: 90,
+                ragdoll: 'humanoid',
+                repelledByLight: false,
+                mimicsVoices: false,
+                unique: true, // only ever spawned by the Act 3 encounter
+                sounds: {
+                    idle: 'soldier_idle',
+                    alert: 'soldier_alert',
+                    attack: 'soldier_attack',
+                    death: 'soldier_death'
+                }
             }
         };
 
+        // Character models - ModelManager name and height for each enemy model
+        this.characterModels = {
+            scientist: { name: 'scientist_infected', height: 1.8 },
+            soldier: { name: 'soldier_corrupted', height: 1.8 },
+            entity: { name: 'signal_entity', height: 1.0 }
+        };
+        this.modelManager = null;
+        this.hitboxMaterial = new THREE.MeshBasicMaterial({ visible: false }); // the primitive stays on as the hitbox
+
+        // Hit zones (fraction of mesh height measured from the feet)
+        this.hitZones = {
+            head: { minHeight: 0.8, damageMultiplier: 2.5 },
+            torso: { minHeight: 0.45, damageMultiplier: 1.0 },
+            limbs: { minHeight: 0, damageMultiplier: 0.6 }
+        };
+
         // AI behavior settings
         this.patrolRadius = 10;
+        this.patrolWaypointReachDistance = 1;
+        this.patrolLookAngle = 1.0; // radians either side while looking around at a waypoint
+        this.patrolLookSpeed = 1.5;
         this.chaseDistance = 25;
         this.loseInterestDistance = 35;
         this.attackCooldown = 1.5;
+        this.staggerDuration = 1.2; // seconds an enemy is dazed after being shoved
+        this.fleeDuration = 3.0;
+
+        // Hit reactions
+        this.hitReactionDuration = 0.3; // seconds a flinch takes to settle
+        this.hitLeanAngle = 0.35; // radians a full-strength hit knocks the body back
+        this.staggerRecoveryRate = 20; // stagger damage shrugged off per second
+        this.staggerKnockback = 4; // metres per second along the hit
+
+        // Ragdolls - offsets and pivots are relative to the enemy's centre, facing +z
+        this.ragdollLayouts = {
+            humanoid: {
+                parts: [
+                    { name: 'pelvis', shape: 'box', size: [0.4, 0.2, 0.25], offset: [0, 0, 0], mass: 15, push: 0.6 },
+                    { name: 'torso', shape: 'box', size: [0.5, 0.55, 0.3], offset: [0, 0.375, 0], mass: 25, push: 1.0 },
+                    { name: 'head', shape: 'sphere', size: [0.15], offset: [0, 0.82, 0], mass: 5, push: 1.2 },
+                    { name: 'leftArm', shape: 'box', size: [0.12, 0.6, 0.12], offset: [-0.33, 0.35, 0], mass: 4, push: 1.0 },
+                    { name: 'rightArm', shape: 'box', size: [0.12, 0.6, 0.12], offset: [0.33, 0.35, 0], mass: 4, push: 1.0 },
+                    { name: 'leftLeg', shape: 'box', size: [0.16, 0.8, 0.16], offset: [-0.12, -0.5, 0], mass: 8, push: 0.2 },
+                    { name: 'rightLeg', shape: 'box', size: [0.16, 0.8, 0.16], offset: [0.12, -0.5, 0], mass: 8, push: 0.2 }
+                ],
+                joints: [
+                    { a: 'pelvis', b: 'torso', pivot: [0, 0.1, 0], angle: 0.5 },
+                    { a: 'torso', b: 'head', pivot: [0, 0.67, 0], angle: 0.6 },
+                    { a: 'torso', b: 'leftArm', pivot: [-0.3, 0.62, 0], angle: 1.5 },
+                    { a: 'torso', b: 'rightArm', pivot: [0.3, 0.62, 0], angle: 1.5 },
+                    { a: 'pelvis', b: 'leftLeg', pivot: [-0.12, -0.1, 0], angle: 1.0 },
+                    { a: 'pelvis', b: 'rightLeg', pivot: [0.12, -0.1, 0], angle: 1.0 }
+                ]
+            },
+            wisp: {
+                parts: [
+                    { name: 'core', shape: 'sphere', size: [0.35], offset: [0, 0.1, 0], mass: 10, push: 1.0 },
+                    { name: 'tail', shape: 'sphere', size: [0.2], offset: [0, -0.4, 0], mass: 3, push: 0.6 },
+                    { name: 'tip', shape: 'sphere', size: [0.12], offset: [0, -0.75, 0], mass: 1.5, push: 0.3 }
+                ],
+                joints: [
+                    { a: 'core', b: 'tail', pivot: [0, -0.22, 0], angle: 1.2 },
+                    { a: 'tail', b: 'tip', pivot: [0, -0.6, 0], angle: 1.2 }
+                ]
+            }
+        };
+
+        // Corpses
+        this.maxCorpses = 8; // the oldest ragdoll is cleared once there are more than this
+        this.deathPush = 3; // metres per second the killing blow carries the body
+        this.corpses = [];
+        this.nextCorpseId = 0;
+
+        // Vision
+        this.vision = {
+            fieldOfView: 0.5, // dot product threshold (120 degrees)
+            eyeHeight: 0.6, // above the enemy's position
+            darkVisibility: 0.3, // how visible the player is with no light at all
+            flashlightVisibility: 0.7, // added while the flashlight is on
+            lightVisibility: 0.5, // added at the centre of an emergency light
+            crouchMultiplier: 0.5,
+            leanExposure: 0.5, // a head round a corner is this much of a fully visible player
+            minRangeFactor: 0.35 // a barely visible player can still be seen this close (fraction of detection range)
+        };
+
+        // Awareness - sightings fill the meter rather than alerting instantly
+        this.awarenessGain = 1.2; // per second, fully visible at point blank
+        this.awarenessDecay = 0.15; // per second while out of sight
+        this.suspiciousThreshold = 0.35; // goes to take a look
+        this.alertThreshold = 1.0; // gives chase
+
+        // Stealth takedowns - see Player.tryTakedown
+        this.takedownStates = ['idle', 'patrol']; // only enemies going about their business can be caught unawares
+        this.takedownEscapeTime = 3; // breaks free if the takedown is never finished
+
+        // Hiding spots - see Player.tryHide and RoomSearch.hidingSpotCheckChance
+        this.hidingSpotReach = 2.2; // close enough to open a locker or look under a desk
+
+        // Light sources the player can be seen by
+        this.lightSources = [];
+
+        // Voice mimicry - lines stolen from the player's team
+        this.lureLines = [
+            { id: 'help_me', sound: 'voice_help_me', volume: 0.6, cooldown: 45 },
+            { id: 'over_here', sound: 'voice_over_here', volume: 0.8, cooldown: 30 },
+            { id: 'dont_leave', sound: 'voice_dont_leave', volume: 0.6, cooldown: 60 },
+            { id: 'radio_check_in', sound: 'radio_check_in', volume: 0.7, cooldown: 60, radio: true },
+            { id: 'radio_my_position', sound: 'radio_my_position', volume: 0.7, cooldown: 90, radio: true }
+        ];
+        this.lureCooldowns = new Map(); // line id -> time it can be used again
+        this.lastLureLineTime = 0;
+        this.lureLineGap = 8; // seconds between any two lines, whoever says them
+        this.lureChance = 0.05; // per second, for an eligible enemy
+        this.lureMinDistance = 10; // too close and it just attacks
+        this.lureMaxDistance = 35;
+        this.lureLineInterval = 6; // seconds between calls from one enemy
+        this.lureDuration = 25; // gives up luring after this
+        this.ambushRange = 7; // springs the ambush when the player gets this close
+        this.ambushDuration = 3;
+        this.ambushSpeedMultiplier = 1.6;
+        this.audioManager = null;
+
+        // Type-specific behavior on top of the shared state machine
+        this.behaviors = {
+            scientist: new ScientistBehavior(this),
+            soldier: new SoldierBehavior(this),
+            entity: new SignalEntityBehavior(this),
+            survivor: new SurvivorBehavior(this)
+        };
+
+        // Group tactics for enemies hunting the player together
+        this.squadTactics = new SquadTactics(this);
+
+        // Hunting for a player who has slipped out of sight
+        this.roomSearch = new RoomSearch(this);
+
+        // Pathfinding
+        this.repathInterval = 0.5; // minimum seconds between path requests per enemy
+        this.repathDistance = 2; // re-plan when the target drifts further than this
+        this.waypointReachDistance = 0.75;
         this.lastSoundTime = 0;
         this.soundMemoryDuration = 5.0; // How long enemies remember sounds
 
         // Sound-based AI
         this.soundEvents = [];
         this.soundPropagationSpeed = 20; // Units per second
+        this.soundRangeScale = 20; // range in units per unit of volume
+        this.soundDamping = {
+            // Extra distance a sound loses getting through each obstacle
+            openDoor: 2,
+            closedDoor: 10,
+            wall: 18
+        };
+        this.maxRememberedSounds = 5;
 
         // Performance optimization
         this.maxActiveEnemies = 10;
         this.spawnDistance = 30;
         this.despawnDistance = 50;
+        this.autoSpawn = true; // turned off when the pacing director decides spawns
 
-        // Spawn points
+        // Spawn points - laid out per room once the facility exists
         this.spawnPoints = [];
+        this.spawnPointSpacing = 6;
+        this.spawnPointInset = 2; // keeps points off the walls
+        this.minSpawnDistance = 10; // never closer to the player than this
+
+        // Encounter tables - which enemies turn up where, by act (StoryManager.currentAct)
+        // and story flags. Weights from every matching table are added together.
+        const corridors = ['North Corridor', 'South Corridor', 'East Corridor', 'West Corridor'];
+        this.encounterTables = [
+            // Arrival - a few stragglers out in the quarters and stores
+            { acts: [0], rooms: ['Living Quarters', 'Storage Facility'], types: { infected_scientist: 1 } },
+            { acts: [0], rooms: corridors, flags: ['distressSignalHeard'], types: { infected_scientist: 1 } },
+
+            // The Presence - the labs wake up, and worse follows the first encounter
+            { acts: [1], rooms: ['Research Lab'], types: { infected_scientist: 3 } },
+            { acts: [1], rooms: ['Central Hub', ...corridors], types: { infected_scientist: 2, corrupted_soldier: 1 } },
+            { acts: [1], rooms: ['Storage Facility'], types: { corrupted_soldier: 2 } },
+            {
+                acts: [1],
+                rooms: ['Research Lab', 'Living Quarters'],
+                flags: ['firstEnemyEncountered'],
+                types: { corrupted_soldier: 1, signal_entity: 1 }
+            },
+
+            // The Signal's Heart - everything is out, thickest around the tower
+            { acts: [2], rooms: ['Communications Tower'], types: { corrupted_soldier: 3, signal_entity: 2 } },
+            { acts: [2], rooms: ['Central Hub', 'East Corridor'], types: { corrupted_soldier: 2, signal_entity: 1 } },
+            {
+                acts: [2],
+                rooms: ['Research Lab', 'Living Quarters', 'Storage Facility', 'North Corridor', 'South Corridor', 'West Corridor'],
+                types: { infected_scientist: 1, corrupted_soldier: 1, signal_entity: 1 }
+            },
+            { acts: [2], rooms: ['Research Lab'], flags: ['signalSourceLocated'], types: { signal_entity: 2 } }
+        ];
+        this.storyManager = null;
+
+        // Stats
+        this.enemiesKilled = 0;
+        this.nextSpawnId = 0;
 
         this.init();
     }
@@ -85,36 +312,124 @@ export class EnemyManager {
     init() {
         console.log('👾 Initializing Enemy Manager...');
 
-        // Generate spawn points
-        this.generateSpawnPoints();
+        // Spawn points follow the facility layout
+        document.addEventListener('worldEvent', (event) => {
+            if (event.detail.type === 'facility_generated') {
+                this.generateSpawnPoints();
+            }
+        });
 
         // Create initial enemy pool
         this.createEnemyPool(15);
 
+        // Projectiles that hit an enemy body
+        if (this.physicsManager) {
+            this.physicsManager.on('projectileHit', (hit) => {
+                const enemy = this.activeEnemies.find(e => e.id === hit.target);
+                if (enemy) {
+                    const direction = hit.direction
+                        ? new THREE.Vector3(hit.direction.x, hit.direction.y, hit.direction.z)
+                        : null;
+                    enemy.takeDamage(hit.damage, direction);
+                }
+            });
+        }
+
         console.log('✅ Enemy Manager initialized');
     }
 
     generateSpawnPoints() {
-        // Generate spawn points throughout the facility
-        const facilitySize = 100;
-        const numSpawnPoints = 20;
-
-        for (let i = 0; i < numSpawnPoints; i++) {
-            const angle = (i / numSpawnPoints) * Math.PI * 2;
-            const radius = 10 + Math.random() * 30;
-            const x = Math.cos(angle) * radius;
-            const z = Math.sin(angle) * radius;
-
-            this.spawnPoints.push({
-                position: new THREE.Vector3(x, 1, z),
-                type: this.getRandomEnemyType(),
-                patrolCenter: new THREE.Vector3(x, 1, z)
+        // A grid of points inside every room, minus anything that lands in geometry
+        this.spawnPoints = [];
+        if (!this.worldManager) return;
+
+        this.worldManager.getRooms().forEach(room => {
+            // Nothing leads down to the underground levels yet
+            if (room.bounds.min.y < 0) return;
+
+            const xs = this.getSpawnPointRow(room.bounds.min.x, room.bounds.max.x);
+            const zs = this.getSpawnPointRow(room.bounds.min.z, room.bounds.max.z);
+
+            xs.forEach(x => zs.forEach(z => {
+                const position = new THREE.Vector3(x, room.bounds.min.y + 1, z);
+                if (this.navigationManager && !this.navigationManager.isWalkable(position)) return;
+
+                this.spawnPoints.push({
+                    position,
+                    room: room.name,
+                    patrolCenter: position.clone()
+                });
+            }));
+        });
+    }
+
+    getSpawnPointRow(min, max) {
+        // Narrow spaces (corridors) get a single row down the middle
+        if (max - min <= this.spawnPointInset * 2) return [(min + max) / 2];
+
+        const row = [];
+        for (let value = min + this.spawnPointInset; value <= max - this.spawnPointInset; value += this.spawnPointSpacing) {
+            row.push(value);
+        }
+        return row;
+    }
+
+    setStoryManager(storyManager) {
+        this.storyManager = storyManager;
+    }
+
+    getEncounterWeights(roomName) {
+        const act = this.storyManager ? this.storyManager.currentAct : 0;
+        const flags = this.storyManager ? this.storyManager.flags : {};
+        const weights = {};
+
+        this.encounterTables.forEach(table => {
+            if (!table.acts.includes(act) || !table.rooms.includes(roomName)) return;
+            if (table.flags && !table.flags.every(flag => flags[flag])) return;
+
+            Object.entries(table.types).forEach(([type, weight]) => {
+                weights[type] = (weights[type] || 0) + weight;
             });
+        });
+
+        return weights;
+    }
+
+    pickEncounterType(roomName) {
+        const weights = Object.entries(this.getEncounterWeights(roomName));
+        const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+        if (total <= 0) return null;
+
+        let roll = Math.random() * total;
+        for (const [type, weight] of weights) {
+            roll -= weight;
+            if (roll < 0) return type;
         }
+        return weights[weights.length - 1][0];
+    }
+
+    isValidSpawnPoint(spawnPoint, player) {
+        // Not inside a wall or a locked doorway...
+        if (this.navigationManager && !this.navigationManager.isWalkable(spawnPoint.position)) return false;
+
+        // ...and somewhere the player can't see it appear
+        const eye = spawnPoint.position.clone();
+        eye.y += this.vision.eyeHeight;
+        return !this.hasLineOfSight(player.position, eye);
+    }
+
+    getValidSpawnPoints(player, minDistance = this.minSpawnDistance, maxDistance = this.spawnDistance) {
+        return this.spawnPoints.filter(spawnPoint => {
+            const distance = spawnPoint.position.distanceTo(player.position);
+            if (distance < minDistance || distance > maxDistance) return false;
+            if (Object.keys(this.getEncounterWeights(spawnPoint.room)).length === 0) return false;
+
+            return this.isValidSpawnPoint(spawnPoint, player);
+        });
     }
 
     getRandomEnemyType() {
-        const types = Object.keys(this.enemyTypes);
+        const types = Object.keys(this.enemyTypes).filter(type => !this.enemyTypes[type].unique);
         return types[Math.floor(Math.random() * types.length)];
     }
 
@@ -131,6 +446,7 @@ export class EnemyManager {
 
         const enemy = {
             id: THREE.MathUtils.generateUUID(),
+            spawnId: null, // which spawn this is - the pooled object and its id outlive it, see getSaveData
             type: typeName,
             config: type,
 
@@ -144,32 +460,61 @@ export class EnemyManager {
             velocity: new THREE.Vector3(),
 
             // AI
-            state: 'idle', // idle, patrol, investigate, chase, attack, flee
+            state: 'idle', // idle, patrol, investigate, search, chase, attack, stagger, takedown, flee, lure, ambush, cover, surrender
             stateTimer: 0,
             lastStateChange: 0,
 
             // Navigation
             patrolCenter: new THREE.Vector3(),
             patrolRadius: this.patrolRadius,
+            patrolRoute: null, // authored route it walks - see WorldManager.addPatrolRoutes
+            patrolIndex: 0, // waypoint it's heading for or standing at
+            patrolDirection: 1, // -1 on the way back along a route that doesn't loop
+            patrolAction: null, // what it's doing at the waypoint - wait, look or door - null while walking
+            patrolWaitTimer: 0,
+            patrolFacing: 0,
+            patrolBlocked: false, // found the route's door locked and will turn back
+            openedDoor: null, // door it opened and shuts again from the other side
             currentTarget: null,
             path: [],
             waypointIndex: 0,
+            pathTarget: null, // target the current path was planned for
+            pathVersion: -1, // navigation grid version the path was planned on
+            lastPathTime: 0,
 
             // Combat
             lastAttackTime: 0,
             attackCooldown: this.attackCooldown,
+            nextLureLineTime: 0, // stateTimer value of the next call while luring
+            behaviorData: {}, // scratch state owned by the type's behavior
+            knockback: null, // pending impulse, consumed by PhysicsManager.updateEnemy
+            hitReaction: null, // flinch in progress - { direction, strength, timer }
+            lastHitDirection: null, // where the last hit came from, for the death fall
+            staggerDamage: 0, // recent damage counted towards the stagger threshold
 
             // Detection
             detectionLevel: 0, // 0-1, how aware the enemy is of the player
             lastPlayerSighting: 0,
             investigationPoint: null,
+            fleeFrom: null,
+            witnessedHidingSpot: null, // furniture it saw the player climb into
+
+            // Memory of the player - see RoomSearch
+            lastKnownPosition: null,
+            lastKnownTime: 0,
+            lastKnownUncertainty: 0, // metres either way when it was last placed
+            search: null, // room search in progress - { points, index, waitTimer, facing }
+            alertPatrolTimer: 0, // seconds of heightened-alert patrol left
+            alertPatrolCenter: null,
 
             // Sound memory
             rememberedSounds: [],
 
             // Visual representation
-            mesh: null,
+            mesh: null, // primitive body, and the hitbox once a model is attached
+            bodyMaterial: null, // the primitive's own material, kept for placeholders and ragdolls
             model: null,
+            animator: null, // AnimationController driving the model
             healthBar: null,
 
             // Audio
@@ -177,7 +522,7 @@ export class EnemyManager {
 
             // Methods
             update: (deltaTime) => this.updateEnemy(enemy, deltaTime),
-            takeDamage: (amount) => this.enemyTakeDamage(enemy, amount),
+            takeDamage: (amount, direction) => this.enemyTakeDamage(enemy, amount, direction),
             die: () => this.enemyDie(enemy),
             playSound: (soundType) => this.playEnemySound(enemy, soundType),
             canSeePlayer: () => this.canEnemySeePlayer(enemy),
@@ -218,10 +563,12 @@ export class EnemyManager {
                 material = new THREE.MeshLambertMaterial({ color: 0x880000 });
         }
 
+        enemy.bodyMaterial = material;
         enemy.mesh = new THREE.Mesh(geometry, material);
         enemy.mesh.position.copy(enemy.position);
         enemy.mesh.castShadow = true;
         enemy.mesh.receiveShadow = true;
+        enemy.mesh.userData.enemyId = enemy.id;
 
         // Add to physics world
         if (this.physicsManager) {
@@ -232,6 +579,37 @@ export class EnemyManager {
         enemy.healthBar = this.createHealthBar();
     }
 
+    attachModel(enemy) {
+        // Characters come from ModelManager - a rigged placeholder if the GLB is missing
+        const character = this.characterModels[enemy.config.model];
+        if (!this.modelManager || !character) return;
+
+        const model = this.modelManager.createCharacterInstance(character.name, {
+            height: character.height,
+            material: enemy.bodyMaterial
+        });
+        model.position.y = -character.height / 2; // the mesh is centred, models stand on their feet
+
+        enemy.model = model;
+        enemy.mesh.add(model);
+        enemy.mesh.material = this.hitboxMaterial;
+        enemy.animator = new AnimationController(model, model.userData.animations, model.userData.clipSpeeds);
+    }
+
+    detachModel(enemy) {
+        if (!enemy.model) return;
+
+        enemy.mesh.remove(enemy.model);
+        enemy.animator.dispose();
+        enemy.model = null;
+        enemy.animator = null;
+        enemy.mesh.material = enemy.bodyMaterial;
+    }
+
+    setModelManager(modelManager) {
+        this.modelManager = modelManager;
+    }
+
     createHealthBar() {
         const canvas = document.createElement('canvas');
         canvas.width = 64;
@@ -273,27 +651,70 @@ export class EnemyManager {
     }
 
     spawnEnemy(spawnPoint) {
-        if (this.inactiveEnemies.length === 0) return null;
+        const typeName = spawnPoint.type || this.pickEncounterType(spawnPoint.room);
+        if (!typeName) return null;
 
-        const enemy = this.inactiveEnemies.pop();
+        const enemy = this.takeFromPool(typeName);
+        if (!enemy) return null;
+
+        enemy.spawnId = this.nextSpawnId++;
         enemy.position.copy(spawnPoint.position);
         enemy.patrolCenter.copy(spawnPoint.patrolCenter);
         enemy.state = 'patrol';
+        this.assignPatrolRoute(enemy, spawnPoint.room);
+        this.activateEnemy(enemy);
+
+        console.log(`👾 Spawned ${enemy.config.name} at (${enemy.position.x.toFixed(1)}, ${enemy.position.z.toFixed(1)})`);
+
+        return enemy;
+    }
+
+    activateEnemy(enemy) {
         enemy.isActive = true;
+        enemy.isAlive = true;
         enemy.health = enemy.config.health;
+        enemy.stateTimer = 0;
         enemy.detectionLevel = 0;
+        enemy.investigationPoint = null;
+        enemy.witnessedHidingSpot = null;
+        enemy.rememberedSounds = [];
+        enemy.behaviorData = {};
+        enemy.hitReaction = null;
+        enemy.lastHitDirection = null;
+        enemy.staggerDamage = 0;
+        enemy.mesh.visible = true;
+        if (!enemy.model) {
+            this.attachModel(enemy);
+        }
+        if (enemy.animator) {
+            enemy.animator.reset();
+        }
+        this.roomSearch.forget(enemy);
+        this.clearPath(enemy);
+
+        if (this.physicsManager) {
+            this.physicsManager.placeEnemy(enemy);
+        }
 
         // Add to scene
+        enemy.mesh.position.copy(enemy.position);
+        enemy.mesh.rotation.set(0, enemy.rotation.y, 0);
         this.scene.add(enemy.mesh);
         if (enemy.healthBar) {
             this.scene.add(enemy.healthBar);
         }
 
         this.activeEnemies.push(enemy);
+    }
 
-        console.log(`👾 Spawned ${enemy.config.name} at (${enemy.position.x.toFixed(1)}, ${enemy.position.z.toFixed(1)})`);
+    takeFromPool(typeName) {
+        const index = this.inactiveEnemies.findIndex(enemy => enemy.type === typeName);
+        if (index !== -1) {
+            return this.inactiveEnemies.splice(index, 1)[0];
+        }
 
-        return enemy;
+        // None of this type left - grow the pool
+        return this.createEnemy(typeName);
     }
 
     despawnEnemy(enemy) {
@@ -323,6 +744,14 @@ export class EnemyManager {
         // Update sound events
         this.updateSoundEvents(deltaTime);
 
+        // Update behaviors that track things across enemies (e.g. projectiles in flight)
+        Object.values(this.behaviors).forEach(behavior => behavior.update?.(deltaTime, player));
+
+        // Share alerts and hand out squad roles
+        this.squadTactics.update(deltaTime, player);
+
+        this.updateCorpses(deltaTime);
+
         // Update active enemies
         for (let i = this.activeEnemies.length - 1; i >= 0; i--) {
             const enemy = this.activeEnemies[i];
@@ -330,29 +759,48 @@ export class EnemyManager {
 
             // Check despawn distance
             const distanceToPlayer = enemy.position.distanceTo(player.position);
-            if (distanceToPlayer > this.despawnDistance) {
+            if (distanceToPlayer > this.despawnDistance && !enemy.config.unique) {
                 this.despawnEnemy(enemy);
             }
         }
 
         // Spawn new enemies if needed
-        this.updateSpawning(player);
+        if (this.autoSpawn) {
+            this.updateSpawning(player);
+        }
     }
 
     updateEnemy(enemy, deltaTime, player) {
         if (!enemy.isAlive || !enemy.isActive) return;
 
         enemy.stateTimer += deltaTime;
+        enemy.staggerDamage = Math.max(0, enemy.staggerDamage - this.staggerRecoveryRate * deltaTime);
+        enemy.alertPatrolTimer = Math.max(0, enemy.alertPatrolTimer - deltaTime);
 
         // Update AI state
-        this.updateAIState(enemy, player);
+        this.updateAIState(enemy, player, deltaTime);
+
+        const behavior = this.getBehavior(enemy);
+        if (behavior) {
+            behavior.updateState(enemy, deltaTime, player);
+        }
+
+        // Saw the player climb into something - goes straight for it
+        if (enemy.witnessedHidingSpot) {
+            this.watchHidingSpot(enemy);
+        }
 
         // Execute current state behavior
         this.executeStateBehavior(enemy, deltaTime, player);
 
         // Update visual representation
         enemy.mesh.position.copy(enemy.position);
-        enemy.mesh.rotation.y = enemy.rotation.y;
+        enemy.mesh.rotation.set(0, enemy.rotation.y, 0);
+        this.updateHitReaction(enemy, deltaTime);
+
+        if (enemy.animator) {
+            enemy.animator.update(deltaTime, enemy.state, Math.hypot(enemy.velocity.x, enemy.velocity.z));
+        }
 
         // Update health bar if visible
         if (enemy.healthBar && enemy.healthBar.visible) {
@@ -365,70 +813,181 @@ export class EnemyManager {
         }
     }
 
-    updateAIState(enemy, player) {
+    updateAIState(enemy, player, deltaTime) {
         const distanceToPlayer = enemy.position.distanceTo(player.position);
-        const canSeePlayer = this.canEnemySeePlayer(enemy, player);
+        const exposure = this.getPlayerExposure(enemy, player);
+        const canSeePlayer = exposure > 0;
         const canHearPlayer = this.canEnemyHearPlayer(enemy, player);
 
+        this.updateAwareness(enemy, player, exposure, deltaTime);
+        const isAlerted = canSeePlayer && enemy.detectionLevel >= this.alertThreshold;
+        const isSuspicious = canSeePlayer && enemy.detectionLevel >= this.suspiciousThreshold;
+
         // State transitions
         switch (enemy.state) {
             case 'idle':
-                if (canSeePlayer || canHearPlayer) {
+                if (isAlerted) {
+                    enemy.state = 'chase';
+                    enemy.playSound('alert');
+                } else if (isSuspicious) {
                     enemy.state = 'investigate';
                     enemy.investigationPoint = player.position.clone();
+                    enemy.stateTimer = 0;
+                    enemy.playSound('alert');
+                } else if (canHearPlayer) {
+                    enemy.state = 'investigate';
+                    enemy.investigationPoint = this.getHeardSound(enemy).position.clone();
                     enemy.playSound('alert');
+                } else if (this.shouldStartLure(enemy, player, distanceToPlayer, deltaTime)) {
+                    this.startLure(enemy);
                 } else if (Math.random() < 0.01) { // Random patrol chance
                     enemy.state = 'patrol';
                 }
                 break;
 
             case 'patrol':
-                if (canSeePlayer) {
+                if (isAlerted) {
                     enemy.state = 'chase';
                     enemy.playSound('alert');
-                } else if (canHearPlayer) {
+                } else if (isSuspicious) {
                     enemy.state = 'investigate';
                     enemy.investigationPoint = player.position.clone();
-                } else if (enemy.stateTimer > 10) { // Return to idle after patrol
+                    enemy.stateTimer = 0;
+                } else if (canHearPlayer) {
+                    enemy.state = 'investigate';
+                    enemy.investigationPoint = this.getHeardSound(enemy).position.clone();
+                } else if (this.shouldStartLure(enemy, player, distanceToPlayer, deltaTime)) {
+                    this.startLure(enemy);
+                } else if (enemy.stateTimer > 10 && !enemy.patrolRoute && !this.roomSearch.isOnAlert(enemy)) { // Return to idle after patrol
                     enemy.state = 'idle';
                     enemy.stateTimer = 0;
                 }
                 break;
 
             case 'investigate':
-                if (canSeePlayer) {
+                if (isAlerted) {
                     enemy.state = 'chase';
-                } else if (distanceToPlayer < enemy.config.attackRange) {
+                } else if (isSuspicious) {
+                    // Caught another glimpse - keep looking there
+                    enemy.investigationPoint = player.position.clone();
+                    enemy.stateTimer = 0;
+                } else if (distanceToPlayer < enemy.config.attackRange && !player.isHidden) {
                     enemy.state = 'attack';
                 } else if (enemy.stateTimer > 5) { // Give up investigation
-                    enemy.state = 'patrol';
-                    enemy.stateTimer = 0;
+                    if (this.roomSearch.canSearch(enemy)) {
+                        // Saw the player not long ago - they're around here somewhere
+                        this.roomSearch.startSearch(enemy);
+                    } else {
+                        enemy.state = 'patrol';
+                        enemy.stateTimer = 0;
+                    }
                 }
                 break;
 
-            case 'chase':
-                if (!canSeePlayer && !canHearPlayer && distanceToPlayer > this.loseInterestDistance) {
+            case 'search':
+                if (isAlerted) {
+                    enemy.state = 'chase';
+                    enemy.playSound('alert');
+                } else if (isSuspicious) {
                     enemy.state = 'investigate';
                     enemy.investigationPoint = player.position.clone();
+                    enemy.stateTimer = 0;
+                } else if (canHearPlayer) {
+                    enemy.state = 'investigate';
+                    enemy.investigationPoint = this.getHeardSound(enemy).position.clone();
+                    enemy.stateTimer = 0;
+                }
+                break;
+
+            case 'chase':
+                if (player.isHidden) {
+                    this.losePlayerToHiding(enemy);
+                } else if (!canSeePlayer && !canHearPlayer &&
+                    (distanceToPlayer > this.loseInterestDistance || this.roomSearch.hasLostPlayer(enemy))) {
+                    // Only knows where the player was, not where they are
+                    this.roomSearch.startSearch(enemy);
                 } else if (distanceToPlayer < enemy.config.attackRange) {
                     enemy.state = 'attack';
                 }
                 break;
 
             case 'attack':
-                if (distanceToPlayer > enemy.config.attackRange * 1.5) {
+                if (player.isHidden) {
+                    this.losePlayerToHiding(enemy);
+                } else if (distanceToPlayer > enemy.config.attackRange * 1.5) {
                     enemy.state = 'chase';
                 } else if (enemy.stateTimer - enemy.lastAttackTime > enemy.attackCooldown) {
                     this.performAttack(enemy, player);
                     enemy.lastAttackTime = enemy.stateTimer;
                 }
                 break;
+
+            case 'lure':
+                if (isAlerted) {
+                    // Spotted before the trap is sprung
+                    enemy.state = 'chase';
+                    enemy.playSound('alert');
+                } else if (distanceToPlayer < this.ambushRange) {
+                    this.roomSearch.rememberPlayer(enemy, player.position);
+                    enemy.state = 'ambush';
+                    enemy.stateTimer = 0;
+                    enemy.playSound('attack');
+                } else if (enemy.stateTimer > this.lureDuration || distanceToPlayer > this.despawnDistance * 0.8) {
+                    enemy.state = 'patrol';
+                    enemy.stateTimer = 0;
+                } else if (enemy.stateTimer >= enemy.nextLureLineTime) {
+                    this.playLureLine(enemy);
+                    enemy.nextLureLineTime = enemy.stateTimer + this.lureLineInterval;
+                }
+                break;
+
+            case 'ambush':
+                if (distanceToPlayer < enemy.config.attackRange && !player.isHidden) {
+                    enemy.state = 'attack';
+                } else if (enemy.stateTimer > this.ambushDuration) {
+                    enemy.state = 'chase';
+                }
+                break;
+
+            case 'flee':
+                if (enemy.stateTimer > this.fleeDuration) {
+                    enemy.state = 'patrol';
+                    enemy.fleeFrom = null;
+                    enemy.stateTimer = 0;
+                }
+                break;
+
+            case 'stagger':
+                if (enemy.stateTimer > this.staggerDuration) {
+                    // Recovers knowing roughly where the hit came from
+                    if (canSeePlayer) {
+                        enemy.state = 'chase';
+                        enemy.stateTimer = 0;
+                    } else {
+                        this.roomSearch.startSearch(enemy);
+                    }
+                }
+                break;
+
+            case 'takedown':
+                if (enemy.stateTimer > this.takedownEscapeTime) {
+                    // Never finished off - shrugs the player off and turns on them
+                    this.failTakedown(enemy, player);
+                }
+                break;
         }
 
         enemy.lastStateChange = enemy.stateTimer;
     }
 
     executeStateBehavior(enemy, deltaTime, player) {
+        // The type's behavior gets first say over how a state plays out
+        const behavior = this.getBehavior(enemy);
+        if (behavior && behavior.executeState(enemy, deltaTime, player)) {
+            this.applyMovement(enemy, deltaTime);
+            return;
+        }
+
         switch (enemy.state) {
             case 'idle':
                 // Stand still, maybe look around
@@ -443,6 +1002,10 @@ export class EnemyManager {
                 this.investigateBehavior(enemy, deltaTime);
                 break;
 
+            case 'search':
+                this.roomSearch.updateSearch(enemy, deltaTime);
+                break;
+
             case 'chase':
                 this.chaseBehavior(enemy, deltaTime, player);
                 break;
@@ -450,6 +1013,28 @@ export class EnemyManager {
             case 'attack':
                 this.attackBehavior(enemy, deltaTime, player);
                 break;
+
+            case 'lure':
+                this.lureBehavior(enemy, deltaTime, player);
+                break;
+
+            case 'ambush':
+                this.navigateTo(enemy, player.position, enemy.config.speed * this.ambushSpeedMultiplier);
+                break;
+
+            case 'flee':
+                this.fleeBehavior(enemy, deltaTime);
+                break;
+
+            case 'stagger':
+                // Knockback carries the body, the enemy itself doesn't move
+                enemy.velocity.set(0, 0, 0);
+                break;
+
+            case 'takedown':
+                // Held by the player
+                enemy.velocity.set(0, 0, 0);
+                break;
         }
 
         // Apply movement
@@ -457,23 +1042,152 @@ export class EnemyManager {
     }
 
     patrolBehavior(enemy, deltaTime) {
+        // Walks its route, unless something has it on edge
+        if (enemy.patrolRoute && !this.roomSearch.isOnAlert(enemy)) {
+            this.followPatrolRoute(enemy, deltaTime);
+            return;
+        }
+
         // Simple patrol around center point
         if (!enemy.currentTarget || enemy.position.distanceTo(enemy.currentTarget) < 1) {
-            // Choose new patrol point
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * enemy.patrolRadius;
-            enemy.currentTarget = enemy.patrolCenter.clone().add(
-                new THREE.Vector3(Math.cos(angle) * distance, 0, Math.sin(angle) * distance)
-            );
+            // Choose new patrol point - somewhere actually reachable if we can tell
+            const center = this.roomSearch.getPatrolCenter(enemy);
+            const radius = this.roomSearch.getPatrolRadius(enemy);
+            enemy.currentTarget = this.navigationManager
+                ? this.navigationManager.getRandomWalkablePoint(center, radius)
+                : null;
+
+            if (!enemy.currentTarget) {
+                const angle = Math.random() * Math.PI * 2;
+                const distance = Math.random() * radius;
+                enemy.currentTarget = center.clone().add(
+                    new THREE.Vector3(Math.cos(angle) * distance, 0, Math.sin(angle) * distance)
+                );
+            }
         }
 
         // Move towards target
-        this.moveTowards(enemy, enemy.currentTarget, enemy.config.speed * 0.5);
+        this.navigateTo(enemy, enemy.currentTarget, this.roomSearch.getPatrolSpeed(enemy));
+    }
+
+    // Patrol routes
+    assignPatrolRoute(enemy, roomName) {
+        enemy.patrolRoute = null;
+        enemy.patrolDirection = 1;
+        enemy.patrolAction = null;
+        enemy.patrolWaitTimer = 0;
+        enemy.patrolBlocked = false;
+        enemy.openedDoor = null;
+        if (!this.worldManager) return;
+
+        const routes = this.worldManager.getPatrolRoutes(roomName || this.worldManager.getAreaName(enemy.position));
+        if (routes.length === 0) return;
+
+        // Share a room's routes out rather than stacking everyone on one
+        const walkers = route => this.activeEnemies.filter(other => other.patrolRoute === route).length;
+        const fewest = Math.min(...routes.map(walkers));
+        const candidates = routes.filter(route => walkers(route) === fewest);
+        const route = candidates[Math.floor(Math.random() * candidates.length)];
+
+        // Join it wherever is closest
+        let nearest = 0;
+        route.waypoints.forEach((waypoint, index) => {
+            if (this.getFlatDistance(waypoint.position, enemy.position) <
+                this.getFlatDistance(route.waypoints[nearest].position, enemy.position)) {
+                nearest = index;
+            }
+        });
+
+        enemy.patrolRoute = route;
+        enemy.patrolIndex = nearest;
+    }
+
+    followPatrolRoute(enemy, deltaTime) {
+        const waypoint = enemy.patrolRoute.waypoints[enemy.patrolIndex];
+        const target = waypoint.position.clone().setY(enemy.position.y);
+
+        if (!enemy.patrolAction) {
+            if (this.getFlatDistance(enemy.position, target) > this.patrolWaypointReachDistance) {
+                this.navigateTo(enemy, target, this.roomSearch.getPatrolSpeed(enemy));
+                return;
+            }
+            this.startWaypointAction(enemy, waypoint);
+        }
+
+        // At the waypoint
+        enemy.velocity.set(0, 0, 0);
+        enemy.patrolWaitTimer += deltaTime;
+
+        if (enemy.patrolAction === 'look') {
+            enemy.rotation.y = enemy.patrolFacing +
+                Math.sin(enemy.patrolWaitTimer * this.patrolLookSpeed) * this.patrolLookAngle;
+        }
+
+        if (enemy.patrolWaitTimer >= waypoint.wait) {
+            this.advancePatrolRoute(enemy);
+        }
+    }
+
+    startWaypointAction(enemy, waypoint) {
+        enemy.patrolAction = waypoint.action || 'wait';
+        enemy.patrolWaitTimer = 0;
+        enemy.patrolFacing = enemy.rotation.y;
+
+        if (waypoint.action !== 'door') return;
+
+        const door = this.worldManager.getDoors().find(candidate => candidate.name === waypoint.door);
+        if (!door) return;
+
+        const toDoor = door.position.clone().sub(enemy.position);
+        enemy.rotation.y = Math.atan2(toDoor.x, toDoor.z);
+
+        if (enemy.openedDoor === door) {
+            // Through it - shut it behind
+            if (this.worldManager.closeDoor(door.name)) {
+                this.playDoorSound(door, 'door_close');
+            }
+            enemy.openedDoor = null;
+        } else if (door.isLocked) {
+            // Tries the handle, then goes back the way it came
+            enemy.patrolBlocked = true;
+        } else if (this.worldManager.openDoor(door.name)) {
+            enemy.openedDoor = door;
+            this.playDoorSound(door, 'door_open');
+        }
+    }
+
+    advancePatrolRoute(enemy) {
+        const route = enemy.patrolRoute;
+        const count = route.waypoints.length;
+
+        if (enemy.patrolBlocked) {
+            enemy.patrolDirection *= -1;
+            enemy.patrolBlocked = false;
+        }
+
+        let next = enemy.patrolIndex + enemy.patrolDirection;
+        if (route.loop) {
+            next = (next + count) % count;
+        } else if (next < 0 || next >= count) {
+            // End of the line - turn round
+            enemy.patrolDirection *= -1;
+            next = enemy.patrolIndex + enemy.patrolDirection;
+        }
+
+        enemy.patrolIndex = THREE.MathUtils.clamp(next, 0, count - 1);
+        enemy.patrolAction = null;
+        enemy.patrolWaitTimer = 0;
+    }
+
+    playDoorSound(door, sound) {
+        if (this.audioManager) {
+            this.audioManager.playSound(sound, { position: door.position.clone().setY(1.5), volume: 0.7 });
+        }
     }
 
     investigateBehavior(enemy, deltaTime) {
         if (enemy.investigationPoint) {
-            this.moveTowards(enemy, enemy.investigationPoint, enemy.config.speed * 0.7);
+            this.navigateTo(enemy, enemy.investigationPoint, enemy.config.speed * 0.7);
 
             // Look around while investigating
             enemy.rotation.y += deltaTime * 2;
@@ -481,7 +1195,16 @@ export class EnemyManager {
     }
 
     chaseBehavior(enemy, deltaTime, player) {
-        this.moveTowards(enemy, player.position, enemy.config.speed);
+        const target = this.squadTactics.getChaseTarget(enemy, player);
+        if (target) {
+            this.navigateTo(enemy, target, enemy.config.speed);
+            return;
+        }
+
+        // Holding a position - watch for the player
+        enemy.velocity.set(0, 0, 0);
+        const direction = player.position.clone().sub(enemy.position);
+        enemy.rotation.y = Math.atan2(direction.x, direction.z);
     }
 
     attackBehavior(enemy, deltaTime, player) {
@@ -493,6 +1216,78 @@ export class EnemyManager {
         enemy.velocity.set(0, 0, 0);
     }
 
+    getBehavior(enemy) {
+        return this.behaviors[enemy.config.behavior] || null;
+    }
+
+    lureBehavior(enemy, deltaTime, player) {
+        // Keep still and out of sight, facing where the player will come from
+        enemy.velocity.set(0, 0, 0);
+
+        const direction = player.position.clone().sub(enemy.position);
+        enemy.rotation.y = Math.atan2(direction.x, direction.z);
+    }
+
+    fleeBehavior(enemy, deltaTime) {
+        if (!enemy.fleeFrom) return;
+
+        // Head straight away from the source
+        const away = enemy.position.clone().sub(enemy.fleeFrom).setY(0);
+        if (away.lengthSq() < 0.01) {
+            away.set(Math.random() - 0.5, 0, Math.random() - 0.5);
+        }
+        away.normalize().multiplyScalar(5);
+
+        this.moveTowards(enemy, enemy.position.clone().add(away), enemy.config.speed * 1.2);
+    }
+
+    navigateTo(enemy, target, speed) {
+        const nav = this.navigationManager;
+        if (!nav) {
+            this.moveTowards(enemy, target, speed);
+            return;
+        }
+
+        // Re-plan when the target wanders off or doors have changed since we last planned
+        const now = performance.now() / 1000;
+        const needsPath = !enemy.pathTarget ||
+            this.getFlatDistance(enemy.pathTarget, target) > this.repathDistance ||
+            enemy.pathVersion !== nav.version;
+
+        if (needsPath && now - enemy.lastPathTime > this.repathInterval) {
+            enemy.path = nav.findPath(enemy.position, target) || [];
+            enemy.waypointIndex = 0;
+            enemy.pathTarget = target.clone();
+            enemy.pathVersion = nav.version;
+            enemy.lastPathTime = now;
+        }
+
+        // Skip past waypoints we've already reached
+        while (enemy.waypointIndex < enemy.path.length &&
+               this.getFlatDistance(enemy.position, enemy.path[enemy.waypointIndex]) < this.waypointReachDistance) {
+            enemy.waypointIndex++;
+        }
+
+        if (enemy.waypointIndex < enemy.path.length) {
+            this.moveTowards(enemy, enemy.path[enemy.waypointIndex], speed);
+        } else {
+            // No route (or already there) - head straight for it
+            this.moveTowards(enemy, target, speed);
+        }
+    }
+
+    getFlatDistance(a, b) {
+        const dx = a.x - b.x;
+        const dz = a.z - b.z;
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    clearPath(enemy) {
+        enemy.path = [];
+        enemy.waypointIndex = 0;
+        enemy.pathTarget = null;
+    }
+
     moveTowards(enemy, target, speed) {
         const direction = target.clone().sub(enemy.position).normalize();
         enemy.velocity.copy(direction.multiplyScalar(speed));
@@ -521,35 +1316,183 @@ export class EnemyManager {
     }
 
     canEnemySeePlayer(enemy, player) {
-        const distance = enemy.position.distanceTo(player.position);
+        return this.getPlayerExposure(enemy, player) > 0;
+    }
 
-        if (distance > enemy.config.detectionRange) return false;
+    getPlayerExposure(enemy, player) {
+        // 1 with the player in plain view, less with just a head leaning round cover, 0 unseen
+        if (player.isHidden) return 0;
+        if (this.canEnemySeePoint(enemy, player, player.position, 1)) return 1;
 
-        // Check line of sight (simplified)
-        const direction = player.position.clone().sub(enemy.position).normalize();
+        const exposure = this.vision.leanExposure;
+        if (player.isLeaning() && this.canEnemySeePoint(enemy, player, player.getHeadPosition(), exposure)) {
+            return exposure;
+        }
+
+        return 0;
+    }
+
+    canEnemySeePoint(enemy, player, point, exposure) {
+        const distance = enemy.position.distanceTo(point);
+
+        // Poorly lit players have to be much closer to be spotted - and so does a bit of one
+        if (distance > this.getSightRange(enemy, player) * exposure) return false;
+
+        // Field of view check
+        const direction = point.clone().sub(enemy.position).normalize();
         const dotProduct = direction.dot(new THREE.Vector3(
             Math.sin(enemy.rotation.y),
             0,
             Math.cos(enemy.rotation.y)
         ));
+        if (dotProduct <= this.vision.fieldOfView) return false;
 
-        // Field of view check (120 degrees)
-        return dotProduct > 0.5;
+        // Walls and furniture block the view
+        return this.hasLineOfSight(this.getEyePosition(enemy), point);
     }
 
-    canEnemyHearPlayer(enemy, player) {
-        // Check for recent sound events
-        const recentSounds = this.soundEvents.filter(sound =>
-            performance.now() - sound.timestamp < this.soundMemoryDuration * 1000 &&
-            sound.position.distanceTo(enemy.position) < enemy.config.detectionRange
+    getEyePosition(enemy) {
+        return enemy.position.clone().setY(enemy.position.y + this.vision.eyeHeight);
+    }
+
+    hasLineOfSight(from, to) {
+        if (!this.physicsManager) return true;
+
+        const result = this.physicsManager.raycast(from, to, {
+            collisionFilterMask: this.physicsManager.WORLD_GROUP
+        });
+        return !result.hasHit;
+    }
+
+    getSightRange(enemy, player) {
+        const visibility = this.getPlayerVisibility(player);
+        const rangeFactor = Math.max(this.vision.minRangeFactor, visibility);
+        return enemy.config.detectionRange * rangeFactor;
+    }
+
+    getPlayerVisibility(player) {
+        // 0-1, how easy the player is to make out
+        let visibility = this.vision.darkVisibility;
+
+        if (player.isFlashlightActive()) {
+            visibility += this.vision.flashlightVisibility;
+        }
+
+        visibility += this.getLightLevel(player.position) * this.vision.lightVisibility;
+
+        if (player.isCrouching) {
+            visibility *= this.vision.crouchMultiplier;
+        }
+
+        return THREE.MathUtils.clamp(visibility, 0, 1);
+    }
+
+    getLightLevel(position) {
+        // Brightest light reaching the position, 0-1
+        let level = 0;
+
+        this.lightSources.forEach(light => {
+            if (!light.distance || light.intensity <= 0) return;
+
+            const distance = light.position.distanceTo(position);
+            if (distance < light.distance) {
+                level = Math.max(level, 1 - distance / light.distance);
+            }
+        });
+
+        return level;
+    }
+
+    setLightSources(lights) {
+        this.lightSources = lights;
+    }
+
+    updateAwareness(enemy, player, exposure, deltaTime) {
+        if (exposure > 0) {
+            // Fills faster the closer, better lit and more exposed the player is
+            const sightRange = this.getSightRange(enemy, player) * exposure;
+            const proximity = Math.max(0, 1 - enemy.position.distanceTo(player.position) / sightRange);
+            const visibility = this.getPlayerVisibility(player) * exposure;
+            const gain = this.awarenessGain * visibility * (0.25 + proximity * 0.75) *
+                this.roomSearch.getAwarenessMultiplier(enemy);
+
+            enemy.detectionLevel = Math.min(1, enemy.detectionLevel + gain * deltaTime);
+            enemy.lastPlayerSighting = performance.now();
+            this.roomSearch.rememberPlayer(enemy, player.position);
+        } else {
+            enemy.detectionLevel = Math.max(0, enemy.detectionLevel - this.awarenessDecay * deltaTime);
+        }
+    }
+
+    // Voice mimicry
+    shouldStartLure(enemy, player, distanceToPlayer, deltaTime) {
+        if (!enemy.config.mimicsVoices) return false;
+        if (distanceToPlayer < this.lureMinDistance || distanceToPlayer > this.lureMaxDistance) return false;
+        if (Math.random() >= this.lureChance * deltaTime) return false;
+
+        // Only calls out from somewhere the player can't see it
+        return !this.hasLineOfSight(player.position, this.getEyePosition(enemy));
+    }
+
+    startLure(enemy) {
+        enemy.state = 'lure';
+        enemy.stateTimer = 0;
+        enemy.nextLureLineTime = 0;
+    }
+
+    playLureLine(enemy) {
+        const line = this.pickLureLine();
+        if (!line) return;
+
+        const now = performance.now() / 1000;
+        this.lureCooldowns.set(line.id, now + line.cooldown);
+        this.lastLureLineTime = now;
+
+        if (this.audioManager) {
+            const position = enemy.position.clone();
+            if (line.radio) {
+                this.audioManager.playSound('static', { position, volume: line.volume * 0.5 });
+            }
+            this.audioManager.playSound(line.sound, { position, volume: line.volume });
+        }
+    }
+
+    pickLureLine() {
+        const now = performance.now() / 1000;
+        if (now - this.lastLureLineTime < this.lureLineGap) return null;
+
+        const available = this.lureLines.filter(line =>
+            (this.lureCooldowns.get(line.id) || 0) <= now
         );
+        if (available.length === 0) return null;
+
+        return available[Math.floor(Math.random() * available.length)];
+    }
+
+    setAudioManager(audioManager) {
+        this.audioManager = audioManager;
+    }
+
+    canEnemyHearPlayer(enemy, player) {
+        return this.getHeardSound(enemy) !== null;
+    }
+
+    getHeardSound(enemy) {
+        // Most recent sound that has actually reached this enemy
+        const currentTime = performance.now();
+        for (let i = enemy.rememberedSounds.length - 1; i >= 0; i--) {
+            const sound = enemy.rememberedSounds[i];
+            if (currentTime - sound.timestamp < this.soundMemoryDuration * 1000) {
+                return sound;
+            }
+        }
 
-        return recentSounds.length > 0;
+        return null;
     }
 
     performAttack(enemy, player) {
         // Deal damage to player
-        const damage = enemy.config.attackDamage;
+        const damage = enemy.config.attackDamage * (enemy.behaviorData.damageMultiplier || 1);
         player.takeDamage(damage);
 
         // Play attack sound
@@ -558,8 +1501,187 @@ export class EnemyManager {
         console.log(`👾 ${enemy.config.name} attacks player for ${damage} damage`);
     }
 
-    enemyTakeDamage(enemy, amount) {
+    // Hit resolution
+    getHittableMeshes() {
+        return this.activeEnemies
+            .filter(enemy => enemy.isAlive)
+            .map(enemy => enemy.mesh);
+    }
+
+    getEnemyByMesh(mesh) {
+        return this.activeEnemies.find(enemy => enemy.mesh === mesh) || null;
+    }
+
+    getHitZone(enemy, point) {
+        const bounds = new THREE.Box3().setFromObject(enemy.mesh);
+        const height = bounds.max.y - bounds.min.y;
+        const relativeHeight = height > 0 ? (point.y - bounds.min.y) / height : 0.5;
+
+        if (relativeHeight >= this.hitZones.head.minHeight) return 'head';
+        if (relativeHeight >= this.hitZones.torso.minHeight) return 'torso';
+        return 'limbs';
+    }
+
+    applyHit(enemy, baseDamage, point, direction = null) {
+        if (!enemy.isAlive) return null;
+
+        const zone = this.getHitZone(enemy, point);
+        const damage = Math.round(baseDamage * this.hitZones[zone].damageMultiplier);
+
+        enemy.takeDamage(damage, direction);
+
+        return { zone, damage, killed: !enemy.isAlive };
+    }
+
+    applyShove(enemy, damage, direction, force) {
+        if (!enemy.isAlive) return null;
+
+        enemy.takeDamage(damage, direction);
+        if (!enemy.isAlive) return { killed: true };
+
+        enemy.knockback = new THREE.Vector3(direction.x, 0, direction.z).normalize().multiplyScalar(force);
+        this.staggerEnemy(enemy);
+
+        return { killed: false };
+    }
+
+    staggerEnemy(enemy) {
+        enemy.state = 'stagger';
+        enemy.stateTimer = 0;
+        enemy.velocity.set(0, 0, 0);
+    }
+
+    // Stealth takedowns
+    canTakeDown(enemy, player, behindDot) {
+        if (!enemy.isAlive || !this.takedownStates.includes(enemy.state)) return false;
+
+        // Has to have its back to the player...
+        const facing = new THREE.Vector3(Math.sin(enemy.rotation.y), 0, Math.cos(enemy.rotation.y));
+        const fromPlayer = enemy.position.clone().sub(player.position).setY(0).normalize();
+        if (fromPlayer.dot(facing) < behindDot) return false;
+
+        // ...and no idea they're there
+        return !this.canEnemySeePlayer(enemy, player) && enemy.detectionLevel < this.suspiciousThreshold;
+    }
+
+    startTakedown(enemy) {
+        enemy.state = 'takedown';
+        enemy.stateTimer = 0;
+        enemy.velocity.set(0, 0, 0);
+        enemy.patrolAction = null;
+        this.clearPath(enemy);
+    }
+
+    finishTakedown(enemy, direction) {
+        if (!enemy.isAlive || enemy.state !== 'takedown') return false;
+
+        enemy.health = 0;
+        enemy.lastHitDirection = direction.clone().setY(0).normalize();
+        this.enemyDie(enemy, true);
+        return true;
+    }
+
+    failTakedown(enemy, player) {
+        if (!enemy.isAlive) return;
+
+        // Knows exactly who grabbed it
+        enemy.detectionLevel = 1;
+        this.roomSearch.rememberPlayer(enemy, player.position);
+
+        const toPlayer = player.position.clone().sub(enemy.position);
+        enemy.rotation.y = Math.atan2(toPlayer.x, toPlayer.z);
+        enemy.state = 'chase';
+        enemy.stateTimer = 0;
+        enemy.playSound('alert');
+    }
+
+    // Hiding spots
+    notePlayerHiding(player, spot) {
+        // Anyone watching as the player climbs in knows exactly where they went
+        this.activeEnemies.forEach(enemy => {
+            if (!enemy.isAlive || !this.canEnemySeePlayer(enemy, player)) return;
+
+            enemy.witnessedHidingSpot = spot;
+            enemy.detectionLevel = Math.max(enemy.detectionLevel, this.suspiciousThreshold);
+            this.roomSearch.rememberPlayer(enemy, spot.position);
+            if (['idle', 'patrol', 'investigate', 'search'].includes(enemy.state)) {
+                this.investigateHidingSpot(enemy, spot);
+            }
+        });
+    }
+
+    losePlayerToHiding(enemy) {
+        // Vanished - only a witness knows where to look, the rest have to search
+        if (enemy.witnessedHidingSpot) {
+            this.investigateHidingSpot(enemy, enemy.witnessedHidingSpot);
+        } else {
+            this.roomSearch.startSearch(enemy);
+        }
+    }
+
+    investigateHidingSpot(enemy, spot) {
+        enemy.state = 'investigate';
+        enemy.investigationPoint = spot.hidingSpot.approach.clone().setY(enemy.position.y);
+        enemy.stateTimer = 0;
+        enemy.search = null;
+    }
+
+    watchHidingSpot(enemy) {
+        const spot = enemy.witnessedHidingSpot;
+
+        // Climbed back out while it wasn't looking
+        if (!spot.hidingSpot.occupant) {
+            enemy.witnessedHidingSpot = null;
+            return;
+        }
+
+        if (this.getFlatDistance(enemy.position, spot.position) <= this.hidingSpotReach) {
+            enemy.witnessedHidingSpot = null;
+            this.checkHidingSpot(enemy, spot);
+        } else if (['idle', 'patrol', 'search'].includes(enemy.state)) {
+            // Doesn't get distracted into looking anywhere else
+            this.investigateHidingSpot(enemy, spot);
+        }
+    }
+
+    checkHidingSpot(enemy, spot) {
+        // Opens the locker or looks under the desk
+        const toSpot = spot.position.clone().sub(enemy.position);
+        enemy.rotation.y = Math.atan2(toSpot.x, toSpot.z);
+
+        const player = spot.hidingSpot.occupant;
+        if (!player) return false;
+
+        // Found - dragged out into the open
+        player.forceOutOfHiding();
+        enemy.detectionLevel = 1;
+        this.roomSearch.rememberPlayer(enemy, player.position);
+        enemy.state = 'chase';
+        enemy.stateTimer = 0;
+        enemy.search = null;
+        enemy.playSound('alert');
+        return true;
+    }
+
+    enemyTakeDamage(enemy, amount, direction = null) {
+        if (!enemy.isAlive) return;
+
         enemy.health -= amount;
+        enemy.staggerDamage += amount;
+
+        if (direction) {
+            enemy.lastHitDirection = direction.clone().setY(0).normalize();
+            enemy.hitReaction = {
+                direction: enemy.lastHitDirection,
+                strength: Math.min(1, amount / enemy.config.staggerThreshold),
+                timer: this.hitReactionDuration
+            };
+
+            if (this.roomSearch.hasLostPlayer(enemy)) {
+                // Shot by someone it can't see - works out roughly where from
+                this.roomSearch.rememberHit(enemy, direction);
+            }
+        }
 
         // Show health bar
         if (enemy.healthBar) {
@@ -571,28 +1693,163 @@ export class EnemyManager {
 
         if (enemy.health <= 0) {
             enemy.die();
-        } else {
+        } else if (enemy.staggerDamage >= enemy.config.staggerThreshold) {
+            // Enough punishment in one go to knock it off balance
+            enemy.staggerDamage = 0;
+            if (enemy.lastHitDirection) {
+                enemy.knockback = enemy.lastHitDirection.clone().multiplyScalar(this.staggerKnockback);
+            }
+            this.staggerEnemy(enemy);
+        } else if (enemy.state !== 'stagger') {
             // Enter pain state briefly
             enemy.state = 'investigate'; // Could be expanded to a dedicated pain state
+            if (enemy.lastKnownPosition) {
+                enemy.investigationPoint = enemy.lastKnownPosition.clone();
+            }
         }
 
         console.log(`👾 ${enemy.config.name} takes ${amount} damage (${enemy.health}/${enemy.maxHealth})`);
     }
 
-    enemyDie(enemy) {
+    updateHitReaction(enemy, deltaTime) {
+        const reaction = enemy.hitReaction;
+        if (!reaction) return;
+
+        reaction.timer -= deltaTime;
+        if (reaction.timer <= 0) {
+            enemy.hitReaction = null;
+            return;
+        }
+
+        // Rock back along the hit, easing upright again
+        const axis = new THREE.Vector3(reaction.direction.z, 0, -reaction.direction.x);
+        const angle = this.hitLeanAngle * reaction.strength * (reaction.timer / this.hitReactionDuration);
+        enemy.mesh.rotateOnWorldAxis(axis, angle);
+    }
+
+    enemyDie(enemy, silent = false) {
         enemy.isAlive = false;
+        enemy.velocity.set(0, 0, 0);
+        this.enemiesKilled++;
 
-        // Play death sound
-        enemy.playSound('death');
+        // Play death sound - unless it was taken down quietly
+        if (!silent) {
+            enemy.playSound('death');
+        }
 
-        // Remove after delay
-        setTimeout(() => {
-            this.despawnEnemy(enemy);
-        }, 2000);
+        // Swap the live body for a ragdoll
+        this.createCorpse(enemy);
+        this.despawnEnemy(enemy);
 
         console.log(`💀 ${enemy.config.name} died`);
     }
 
+    // Corpses
+    createCorpse(enemy) {
+        // Real characters play out their death, placeholders go limp
+        if (enemy.model && !enemy.model.userData.isPlaceholder && enemy.animator.hasAnimation('death')) {
+            return this.createAnimatedCorpse(enemy);
+        }
+
+        const layout = this.ragdollLayouts[enemy.config.ragdoll];
+        if (!layout || !this.physicsManager) return null;
+
+        const id = `ragdoll_${this.nextCorpseId++}`;
+        const parts = layout.parts.map(part => ({
+            ...part,
+            mesh: this.createRagdollPartMesh(part, enemy.bodyMaterial)
+        }));
+        parts.forEach(part => this.scene.add(part.mesh));
+
+        // Falls away from the killing blow - or backwards if we don't know where it came from
+        const direction = enemy.lastHitDirection
+            ? enemy.lastHitDirection.clone()
+            : new THREE.Vector3(-Math.sin(enemy.rotation.y), 0, -Math.cos(enemy.rotation.y));
+        const velocity = direction.multiplyScalar(this.deathPush);
+
+        this.physicsManager.addRagdoll(id, parts, layout.joints, enemy.position, enemy.rotation.y, velocity);
+
+        return this.addCorpse({ id, ...this.getCorpseOrigin(enemy), meshes: parts.map(part => part.mesh) });
+    }
+
+    createAnimatedCorpse(enemy) {
+        // The model leaves the enemy for good - the pooled enemy gets a fresh one next spawn
+        const model = enemy.model;
+        const animator = enemy.animator;
+        enemy.mesh.updateMatrixWorld(true);
+        this.scene.attach(model);
+        enemy.model = null;
+        enemy.animator = null;
+        enemy.mesh.material = enemy.bodyMaterial;
+
+        animator.play('death');
+
+        return this.addCorpse({ id: `corpse_${this.nextCorpseId++}`, ...this.getCorpseOrigin(enemy), meshes: [], model, animator });
+    }
+
+    getCorpseOrigin(enemy) {
+        // Who it was and where it fell, so a save can lay it back down
+        return {
+            type: enemy.type,
+            spawnId: enemy.spawnId,
+            position: enemy.position.clone(),
+            rotation: enemy.rotation.y
+        };
+    }
+
+    addCorpse(corpse) {
+        this.corpses.push(corpse);
+
+        // Stay within the corpse budget
+        while (this.corpses.length > this.maxCorpses) {
+            this.removeCorpse(this.corpses[0]);
+        }
+
+        return corpse;
+    }
+
+    updateCorpses(deltaTime) {
+        this.corpses.forEach(corpse => {
+            if (corpse.animator) {
+                corpse.animator.mixer.update(deltaTime);
+            }
+        });
+    }
+
+    createRagdollPartMesh(part, material) {
+        const geometry = part.shape === 'sphere'
+            ? new THREE.SphereGeometry(part.size[0], 8, 8)
+            : new THREE.BoxGeometry(part.size[0], part.size[1], part.size[2]);
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        return mesh;
+    }
+
+    removeCorpse(corpse) {
+        this.physicsManager.removeRagdoll(corpse.id);
+        corpse.meshes.forEach(mesh => {
+            this.scene.remove(mesh);
+            mesh.geometry.dispose();
+        });
+        if (corpse.model) {
+            this.scene.remove(corpse.model);
+            corpse.animator.dispose();
+        }
+
+        const index = this.corpses.indexOf(corpse);
+        if (index > -1) {
+            this.corpses.splice(index, 1);
+        }
+    }
+
+    clearCorpses() {
+        while (this.corpses.length > 0) {
+            this.removeCorpse(this.corpses[0]);
+        }
+    }
+
     playEnemySound(enemy, soundType) {
         // Play appropriate sound based on enemy type and action
         const soundName = enemy.config.sounds[soundType];
@@ -608,20 +1865,135 @@ export class EnemyManager {
 
     // Sound-based AI
     registerSoundEvent(position, volume = 1.0, type = 'unknown') {
+        // Enemies hear it once it has travelled to them - see updateSoundEvents
         this.soundEvents.push({
             position: position.clone(),
             volume,
             type,
+            timestamp: performance.now(),
+            heardBy: new Set(),
+            routes: new Map() // enemy id -> { route, delay }, or null once known to be out of earshot
+        });
+
+        // No cap on how many - each one expires after soundMemoryDuration, and dropping one early
+        // could lose it before it reaches anyone further away
+    }
+
+    getSoundRoute(from, to) {
+        // Straight through - muffled by a wall unless both are in the same area
+        const straightDistance = from.distanceTo(to);
+        if (!this.worldManager) {
+            return { distance: straightDistance, travelDistance: straightDistance, perceivedPosition: from };
+        }
+
+        const fromArea = this.worldManager.getAreaName(from);
+        const toArea = this.worldManager.getAreaName(to);
+        let best = {
+            distance: straightDistance + (fromArea === toArea ? 0 : this.soundDamping.wall),
+            travelDistance: straightDistance,
+            perceivedPosition: from
+        };
+        if (fromArea === toArea) return best;
+
+        // Otherwise it may carry better through the doorways. Each node is a door
+        // and the area the sound comes out into on its far side.
+        const nodes = [];
+        this.worldManager.getDoors().forEach(door => {
+            door.connects.forEach((area, side) => {
+                nodes.push({
+                    door,
+                    area,
+                    entryArea: door.connects[1 - side],
+                    position: door.position.clone().setY(from.y),
+                    distance: Infinity,
+                    travelDistance: 0,
+                    done: false
+                });
+            });
+        });
+
+        nodes.forEach(node => {
+            if (node.entryArea !== fromArea) return;
+            node.travelDistance = from.distanceTo(node.position);
+            node.distance = node.travelDistance + this.getDoorDamping(node.door);
+        });
+
+        // Dijkstra - the graph is a handful of doors
+        while (true) {
+            let current = null;
+            nodes.forEach(node => {
+                if (!node.done && node.distance < Infinity && (!current || node.distance < current.distance)) {
+                    current = node;
+                }
+            });
+            if (!current) break;
+            current.done = true;
+
+            if (current.area === toArea) {
+                const remaining = current.position.distanceTo(to);
+                if (current.distance + remaining < best.distance) {
+                    // Heard from the doorway it came through, not the real source
+                    best = {
+                        distance: current.distance + remaining,
+                        travelDistance: current.travelDistance + remaining,
+                        perceivedPosition: current.position
+                    };
+                }
+                continue;
+            }
+
+            nodes.forEach(node => {
+                if (node.done || node.door === current.door || node.entryArea !== current.area) return;
+
+                const segment = current.position.distanceTo(node.position);
+                const distance = current.distance + segment + this.getDoorDamping(node.door);
+                if (distance < node.distance) {
+                    node.distance = distance;
+                    node.travelDistance = current.travelDistance + segment;
+                }
+            });
+        }
+
+        return best;
+    }
+
+    getDoorDamping(door) {
+        return door.isOpen ? this.soundDamping.openDoor : this.soundDamping.closedDoor;
+    }
+
+    hearSound(enemy, sound, route) {
+        const range = sound.volume * this.soundRangeScale;
+        const loudness = 1 - route.distance / range;
+
+        enemy.rememberedSounds.push({
+            position: route.perceivedPosition.clone(),
+            type: sound.type,
+            loudness,
             timestamp: performance.now()
         });
+        if (enemy.rememberedSounds.length > this.maxRememberedSounds) {
+            enemy.rememberedSounds.shift();
+        }
 
-        // Limit sound memory
-        if (this.soundEvents.length > 10) {
-            this.soundEvents.shift();
+        enemy.detectionLevel = Math.min(1, enemy.detectionLevel + loudness * 0.5);
+        if (enemy.state === 'idle' || enemy.state === 'patrol' || enemy.state === 'investigate' || enemy.state === 'search') {
+            enemy.state = 'investigate';
+            enemy.investigationPoint = route.perceivedPosition.clone();
+            enemy.stateTimer = 0;
         }
+    }
+
+    repelEnemies(position, radius) {
+        this.activeEnemies.forEach(enemy => {
+            if (!enemy.isAlive || !enemy.config.repelledByLight) return;
+            if (enemy.position.distanceTo(position) >= radius) return;
 
-        // Alert nearby enemies
-        this.alertNearbyEnemies(position, volume * 20); // Convert volume to range
+            if (enemy.state !== 'flee') {
+                enemy.state = 'flee';
+                enemy.stateTimer = 0;
+            }
+            enemy.fleeFrom = position.clone();
+        });
     }
 
     alertNearbyEnemies(position, range) {
@@ -629,9 +2001,10 @@ export class EnemyManager {
             const distance = enemy.position.distanceTo(position);
             if (distance < range) {
                 enemy.detectionLevel = Math.min(1, enemy.detectionLevel + (range - distance) / range * 0.5);
-                if (enemy.state === 'idle') {
+                if (enemy.state === 'idle' || enemy.state === 'patrol' || enemy.state === 'investigate' || enemy.state === 'search') {
                     enemy.state = 'investigate';
                     enemy.investigationPoint = position.clone();
+                    enemy.stateTimer = 0;
                 }
             }
         });
@@ -643,20 +2016,40 @@ export class EnemyManager {
         this.soundEvents = this.soundEvents.filter(sound =>
             currentTime - sound.timestamp < this.soundMemoryDuration * 1000
         );
+
+        // Deliver sounds to enemies once they've had time to get there
+        this.soundEvents.forEach(sound => {
+            const range = sound.volume * this.soundRangeScale;
+            const elapsed = (currentTime - sound.timestamp) / 1000;
+
+            this.activeEnemies.forEach(enemy => {
+                if (!enemy.isAlive || sound.heardBy.has(enemy.id)) return;
+                if (sound.position.distanceTo(enemy.position) >= range) return;
+
+                // Routed once per listener rather than every frame it's in flight
+                if (!sound.routes.has(enemy.id)) {
+                    const route = this.getSoundRoute(sound.position, enemy.position);
+                    sound.routes.set(enemy.id, route.distance < range
+                        ? { route, delay: route.travelDistance / this.soundPropagationSpeed }
+                        : null);
+                }
+
+                const delivery = sound.routes.get(enemy.id);
+                if (!delivery || elapsed < delivery.delay) return;
+
+                sound.heardBy.add(enemy.id);
+                this.hearSound(enemy, sound, delivery.route);
+            });
+        });
     }
 
     updateSpawning(player) {
         // Spawn enemies near player if below maximum
         if (this.activeEnemies.length >= this.maxActiveEnemies) return;
 
-        // Find nearby spawn points
-        const nearbySpawnPoints = this.spawnPoints.filter(spawnPoint =>
-            spawnPoint.position.distanceTo(player.position) < this.spawnDistance &&
-            spawnPoint.position.distanceTo(player.position) > 10 // Don't spawn too close
-        );
-
-        if (nearbySpawnPoints.length > 0) {
-            const spawnPoint = nearbySpawnPoints[Math.floor(Math.random() * nearbySpawnPoints.length)];
+        const spawnPoints = this.getValidSpawnPoints(player);
+        if (spawnPoints.length > 0) {
+            const spawnPoint = spawnPoints[Math.floor(Math.random() * spawnPoints.length)];
             this.spawnEnemy(spawnPoint);
         }
     }
@@ -694,37 +2087,186 @@ export class EnemyManager {
     // Save/Load
     getSaveData() {
         return {
-            activeEnemies: this.activeEnemies.map(enemy => ({
-                id: enemy.id,
-                type: enemy.type,
-                position: enemy.position.toArray(),
-                health: enemy.health,
-                state: enemy.state
-            })),
-            enemiesKilled: this.getEnemiesKilled()
+            enemies: this.activeEnemies.map(enemy => this.getEnemySaveData(enemy)),
+            corpses: this.corpses.map(corpse => this.getCorpseSaveData(corpse)),
+            enemiesKilled: this.getEnemiesKilled(),
+            nextSpawnId: this.nextSpawnId
+        };
+    }
+
+    getEnemySaveData(enemy) {
+        return {
+            id: enemy.spawnId,
+            type: enemy.type,
+            position: enemy.position.toArray(),
+            rotation: enemy.rotation.y,
+            health: enemy.health,
+            isAlive: enemy.isAlive,
+
+            // AI - a takedown in progress isn't saved with the player, so it never started
+            state: enemy.state === 'takedown' ? 'idle' : enemy.state,
+            stateTimer: enemy.stateTimer,
+            detectionLevel: enemy.detectionLevel,
+            investigationPoint: enemy.investigationPoint ? enemy.investigationPoint.toArray() : null,
+            fleeFrom: enemy.fleeFrom ? enemy.fleeFrom.toArray() : null,
+            memory: enemy.lastKnownPosition ? {
+                position: enemy.lastKnownPosition.toArray(),
+                age: this.roomSearch.getTimeSinceKnown(enemy),
+                uncertainty: enemy.lastKnownUncertainty
+            } : null,
+            alertPatrolTimer: enemy.alertPatrolTimer,
+            alertPatrolCenter: enemy.alertPatrolCenter ? enemy.alertPatrolCenter.toArray() : null,
+
+            // Patrol assignment
+            patrol: {
+                center: enemy.patrolCenter.toArray(),
+                radius: enemy.patrolRadius,
+                route: enemy.patrolRoute ? enemy.patrolRoute.name : null,
+                index: enemy.patrolIndex,
+                direction: enemy.patrolDirection,
+                blocked: enemy.patrolBlocked
+            }
+        };
+    }
+
+    getCorpseSaveData(corpse) {
+        const pose = object => ({ position: object.position.toArray(), quaternion: object.quaternion.toArray() });
+
+        return {
+            enemyId: corpse.spawnId,
+            type: corpse.type,
+            position: corpse.position.toArray(),
+            rotation: corpse.rotation,
+            // Ragdoll parts, or the animated model, as they lie now
+            parts: corpse.meshes.map(pose),
+            model: corpse.model ? pose(corpse.model) : null
         };
     }
 
     loadSaveData(saveData) {
         // Clear current enemies
-        this.activeEnemies.forEach(enemy => this.despawnEnemy(enemy));
-
-        // Restore enemies
-        saveData.activeEnemies.forEach(enemyData => {
-            const enemy = this.createEnemy(enemyData.type);
-            if (enemy) {
-                enemy.position.fromArray(enemyData.position);
-                enemy.health = enemyData.health;
-                enemy.state = enemyData.state;
-                this.spawnEnemy({ position: enemy.position, type: enemy.type });
-            }
-        });
+        [...this.activeEnemies].forEach(enemy => this.despawnEnemy(enemy));
+        this.clearCorpses();
+        this.soundEvents = [];
+        this.squadTactics.reset();
+
+        // Restore enemies - saves from before per-enemy state only have the basics
+        (saveData.enemies || saveData.activeEnemies || []).forEach(enemyData => this.restoreEnemy(enemyData));
+        (saveData.corpses || []).forEach(corpseData => this.restoreCorpse(corpseData));
+
+        this.enemiesKilled = saveData.enemiesKilled || 0;
+        this.nextSpawnId = Math.max(this.nextSpawnId, saveData.nextSpawnId || 0);
+    }
+
+    restoreEnemy(enemyData) {
+        // The dead come back as corpses
+        if (enemyData.isAlive === false) return null;
+
+        const enemy = this.takeFromPool(enemyData.type);
+        if (!enemy) return null;
+
+        enemy.spawnId = typeof enemyData.id === 'number' ? enemyData.id : this.nextSpawnId++;
+        enemy.position.fromArray(enemyData.position);
+        enemy.rotation.set(0, enemyData.rotation || 0, 0);
+        this.restorePatrol(enemy, enemyData.patrol);
+        this.activateEnemy(enemy);
+
+        // Back to exactly where it was in its head
+        enemy.health = enemyData.health;
+        enemy.state = enemyData.state || 'patrol';
+        enemy.stateTimer = enemyData.stateTimer || 0;
+        enemy.detectionLevel = enemyData.detectionLevel || 0;
+        if (enemyData.investigationPoint) {
+            enemy.investigationPoint = new THREE.Vector3().fromArray(enemyData.investigationPoint);
+        }
+        enemy.fleeFrom = enemyData.fleeFrom ? new THREE.Vector3().fromArray(enemyData.fleeFrom) : null;
+        if (enemyData.memory) {
+            this.roomSearch.rememberPlayer(enemy, new THREE.Vector3().fromArray(enemyData.memory.position), enemyData.memory.uncertainty);
+            enemy.lastKnownTime -= enemyData.memory.age;
+        }
+        enemy.alertPatrolTimer = enemyData.alertPatrolTimer || 0;
+        if (enemyData.alertPatrolCenter) {
+            enemy.alertPatrolCenter = new THREE.Vector3().fromArray(enemyData.alertPatrolCenter);
+        }
+        if (enemy.health < enemy.maxHealth && enemy.healthBar) {
+            enemy.healthBar.visible = true;
+        }
+
+        // Search plans aren't saved - work out a fresh one from the same memory
+        if (enemy.state === 'search') {
+            this.roomSearch.startSearch(enemy);
+        }
+
+        // Nor is a soldier's cover spot - it goes back to the fight and finds another
+        if (enemy.state === 'cover') {
+            enemy.state = 'chase';
+        }
+
+        return enemy;
+    }
+
+    restorePatrol(enemy, patrol) {
+        if (!patrol) {
+            enemy.patrolCenter.copy(enemy.position);
+            this.assignPatrolRoute(enemy);
+            return;
+        }
+
+        enemy.patrolCenter.fromArray(patrol.center);
+        enemy.patrolRadius = patrol.radius;
+        enemy.patrolRoute = null;
+        enemy.patrolAction = null;
+        enemy.patrolWaitTimer = 0;
+        enemy.openedDoor = null;
+
+        const route = patrol.route && this.worldManager
+            ? this.worldManager.getPatrolRoutes().find(candidate => candidate.name === patrol.route)
+            : null;
+        if (route) {
+            enemy.patrolRoute = route;
+            enemy.patrolIndex = Math.min(patrol.index, route.waypoints.length - 1);
+            enemy.patrolDirection = patrol.direction;
+            enemy.patrolBlocked = patrol.blocked;
+        }
+    }
+
+    restoreCorpse(corpseData) {
+        // Laid out again with a pooled body of the same type
+        const enemy = this.takeFromPool(corpseData.type);
+        if (!enemy) return null;
+
+        enemy.spawnId = corpseData.enemyId;
+        enemy.position.fromArray(corpseData.position);
+        enemy.rotation.set(0, corpseData.rotation, 0);
+        enemy.lastHitDirection = null;
+        enemy.mesh.position.copy(enemy.position);
+        enemy.mesh.rotation.set(0, corpseData.rotation, 0);
+        if (!enemy.model) {
+            this.attachModel(enemy);
+        }
+        if (enemy.animator) {
+            enemy.animator.reset();
+        }
+
+        const corpse = this.createCorpse(enemy);
+        this.inactiveEnemies.push(enemy);
+        if (!corpse) return null;
+
+        // ...then put back exactly how it lay, rather than falling all over again
+        if (corpse.model && corpseData.model) {
+            corpse.model.position.fromArray(corpseData.model.position);
+            corpse.model.quaternion.fromArray(corpseData.model.quaternion);
+            corpse.animator.mixer.update(corpse.animator.currentAction.getClip().duration);
+        } else if (corpseData.parts.length === corpse.meshes.length) {
+            this.physicsManager.poseRagdoll(corpse.id, corpseData.parts);
+        }
+
+        return corpse;
     }
 
     // Stats
     getEnemiesKilled() {
-        // Would track this in a real implementation
-        return 0;
+        return this.enemiesKilled;
     }
 
     getEnemyCount() {
@@ -738,7 +2280,14 @@ export class EnemyManager {
             inactiveEnemies: this.inactiveEnemies.length,
             totalEnemies: this.enemies.length,
             spawnPoints: this.spawnPoints.length,
-            soundEvents: this.soundEvents.length
+            soundEvents: this.soundEvents.length,
+            maxAwareness: this.activeEnemies.reduce((max, enemy) => Math.max(max, enemy.detectionLevel), 0),
+            squadRoles: Array.from(this.squadTactics.roles.values()).map(role => role.role),
+            pendingAlerts: this.squadTactics.pendingAlerts.length,
+            searching: this.activeEnemies.filter(enemy => enemy.state === 'search').length,
+            onAlert: this.activeEnemies.filter(enemy => this.roomSearch.isOnAlert(enemy)).length,
+            onPatrolRoutes: this.activeEnemies.filter(enemy => enemy.patrolRoute && enemy.state === 'patrol').length,
+            corpses: this.corpses.length
         };
     }
 
@@ -768,6 +2317,7 @@ export class EnemyManager {
                 this.scene.remove(enemy.healthBar);
             }
         });
+        this.clearCorpses();
 
         // Clear all collections
         this.activeEnemies = [];
@@ -776,6 +2326,12 @@ export class EnemyManager {
 
         // Clear sound events
         this.soundEvents = [];
+        Object.values(this.behaviors).forEach(behavior => behavior.reset?.());
+        this.squadTactics.reset();
+        this.lureCooldowns.clear();
+        this.lastLureLineTime = 0;
+        this.enemiesKilled = 0;
+        this.nextSpawnId = 0;
 
         // Recreate enemy pool
         this.createEnemyPool(15);
@@ -785,6 +2341,9 @@ export class EnemyManager {
 
     // Cleanup
     cleanup() {
+        Object.values(this.behaviors).forEach(behavior => behavior.reset?.());
+        this.squadTactics.reset();
+
         // Remove all enemies from scene
         this.activeEnemies.forEach(enemy => {
             this.scene.remove(enemy.mesh);
@@ -792,6 +2351,7 @@ export class EnemyManager {
                 this.scene.remove(enemy.healthBar);
             }
         });
+        this.clearCorpses();
 
         this.activeEnemies = [];
         this.inactiveEnemies = [];
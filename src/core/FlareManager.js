@@ -0,0 +1,155 @@
+import * as THREE from 'three';
+
+export class FlareManager {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.scene = gameEngine.scene;
+        this.physicsManager = gameEngine.physicsManager;
+        this.enemyManager = gameEngine.enemyManager;
+        this.effectManager = gameEngine.effectManager;
+        this.worldManager = gameEngine.worldManager;
+
+        // Flare settings
+        this.burnTime = 25; // seconds
+        this.flightTime = 6; // flares still in the air after this burn out
+        this.lightColor = 0xff3311;
+        this.lightIntensity = 2.5;
+        this.lightRadius = 14; // how far the light reaches
+        this.repelRadius = 10; // light-averse enemies won't come closer than this
+        this.madnessMultiplier = 0.3; // madness gain while standing in flare light
+
+        // Flares in flight, keyed by projectile id
+        this.projectiles = new Map();
+
+        // Burning flares on the ground
+        this.flares = [];
+
+        this.init();
+    }
+
+    init() {
+        console.log('🎆 Initializing Flare Manager...');
+
+        this.physicsManager.on('projectileImpact', (impact) => {
+            if (impact.type === 'flare') {
+                this.handleImpact(impact);
+            }
+        });
+
+        this.physicsManager.on('projectileExpired', (projectile) => {
+            if (projectile.type === 'flare') {
+                this.removeProjectile(projectile.id);
+            }
+        });
+
+        console.log('✅ Flare Manager initialized');
+    }
+
+    launchFlare(origin, direction, speed, damage) {
+        // Make sure walls and furniture exist in the physics world
+        this.physicsManager.syncWorldColliders(this.worldManager.getCollisionMeshes());
+
+        const mesh = new THREE.Mesh(
+            new THREE.SphereGeometry(0.06, 8, 8),
+            new THREE.MeshBasicMaterial({ color: this.lightColor })
+        );
+        mesh.position.copy(origin);
+        this.scene.add(mesh);
+
+        const body = this.physicsManager.addProjectile(origin, direction, speed, damage, {
+            type: 'flare',
+            lifetime: this.flightTime,
+            mesh
+        });
+
+        this.projectiles.set(body.userData.id, mesh);
+        return body;
+    }
+
+    removeProjectile(id) {
+        const mesh = this.projectiles.get(id);
+        if (mesh) {
+            this.scene.remove(mesh);
+            this.projectiles.delete(id);
+        }
+    }
+
+    handleImpact(impact) {
+        this.removeProjectile(impact.id);
+
+        const position = new THREE.Vector3(impact.position.x, impact.position.y, impact.position.z);
+        this.igniteFlare(position);
+    }
+
+    igniteFlare(position) {
+        const light = this.effectManager.createLightEffect(position, {
+            color: this.lightColor,
+            intensity: this.lightIntensity,
+            distance: this.lightRadius,
+            lifetime: this.burnTime,
+            flicker: true,
+            flickerSpeed: 12,
+            flickerIntensity: 0.2
+        });
+
+        this.flares.push({
+            position: position.clone(),
+            light,
+            timeLeft: this.burnTime
+        });
+
+        // Burning flares hiss - enemies notice
+        this.enemyManager.registerSoundEvent(position, 0.5, 'flare');
+    }
+
+    update(deltaTime) {
+        for (let i = this.flares.length - 1; i >= 0; i--) {
+            const flare = this.flares[i];
+            flare.timeLeft -= deltaTime;
+
+            if (flare.timeLeft <= 0) {
+                this.flares.splice(i, 1);
+                continue;
+            }
+
+            this.enemyManager.repelEnemies(flare.position, this.repelRadius);
+        }
+    }
+
+    // Queries
+    isPositionLit(position) {
+        return this.flares.some(flare =>
+            flare.position.distanceTo(position) < this.lightRadius
+        );
+    }
+
+    getMadnessMultiplier(position) {
+        return this.isPositionLit(position) ? this.madnessMultiplier : 1.0;
+    }
+
+    // Debug methods
+    getDebugInfo() {
+        return {
+            inFlight: this.projectiles.size,
+            burning: this.flares.length
+        };
+    }
+
+    reset() {
+        for (const id of Array.from(this.projectiles.keys())) {
+            this.physicsManager.removeBody(id);
+            this.removeProjectile(id);
+        }
+
+        this.flares.forEach(flare => {
+            if (flare.light) {
+                this.effectManager.deactivateLight(flare.light);
+            }
+        });
+        this.flares = [];
+    }
+
+    cleanup() {
+        this.reset();
+    }
+}
@@ -3,8 +3,13 @@ import { Player } from './Player.js';
 import { EnemyManager } from './EnemyManager.js';
 import { WorldManager } from './WorldManager.js';
 import { PhysicsManager } from './PhysicsManager.js';
+import { NavigationManager } from './NavigationManager.js';
 import { StoryManager } from './StoryManager.js';
 import { EffectManager } from './EffectManager.js';
+import { ThrowableManager } from './ThrowableManager.js';
+import { FlareManager } from './FlareManager.js';
+import { DirectorManager } from './DirectorManager.js';
+import { BossManager } from './BossManager.js';
 import { SaveManager } from './SaveManager.js';
 
 export class GameEngine {
@@ -33,8 +38,13 @@ export class GameEngine {
         this.enemyManager = null;
         this.worldManager = null;
         this.physicsManager = null;
+        this.navigationManager = null;
         this.storyManager = null;
         this.effectManager = null;
+        this.throwableManager = null;
+        this.flareManager = null;
+        this.directorManager = null;
+        this.bossManager = null;
         this.saveManager = new SaveManager();
 
         // Game world
@@ -57,19 +67,32 @@ export class GameEngine {
         // Initialize core systems
         this.physicsManager = new PhysicsManager();
         this.worldManager = new WorldManager(this.scene, this.config, this.textureManager);
+        this.navigationManager = new NavigationManager(this.worldManager);
         this.player = new Player(this.camera, this.config);
-        this.enemyManager = new EnemyManager(this.scene, this.physicsManager);
+        this.enemyManager = new EnemyManager(this.scene, this.physicsManager, this.navigationManager, this.worldManager);
         this.storyManager = new StoryManager(this);
         this.effectManager = new EffectManager(this.scene, this.camera);
+        this.throwableManager = new ThrowableManager(this);
+        this.flareManager = new FlareManager(this);
+        this.enemyManager.setStoryManager(this.storyManager);
+        this.directorManager = new DirectorManager(this);
+        this.bossManager = new BossManager(this);
 
-        // Give UIManager reference to gameEngine
+        // Give UIManager and Player references to gameEngine
         this.uiManager.setGameEngine(this);
+        this.player.setGameEngine(this);
 
         // Setup initial world
         await this.worldManager.generateFacility();
 
+        // Walls block sight lines as well as projectiles
+        this.physicsManager.syncWorldColliders(this.worldManager.getCollisionMeshes());
+
         // Setup lighting
         this.setupLighting();
+        this.enemyManager.setLightSources(this.emergencyLights);
+        this.enemyManager.setAudioManager(this.audioManager);
+        this.enemyManager.setModelManager(this.modelManager);
 
         // Setup post-processing effects
         this.setupPostProcessing();
@@ -170,6 +193,18 @@ export class GameEngine {
         // Reset enemies
         this.enemyManager.reset();
 
+        // Scatter throwables
+        this.throwableManager.reset();
+
+        // Put out any burning flares
+        this.flareManager.reset();
+
+        // Start pacing from a quiet build-up
+        this.directorManager.reset();
+
+        // Clear any unfinished boss fight
+        this.bossManager.reset();
+
         // Start story
         this.storyManager.startStory();
 
@@ -194,6 +229,10 @@ export class GameEngine {
         this.enemyManager.update(this.deltaTime, this.player);
         this.worldManager.update(this.deltaTime);
         this.physicsManager.update(this.deltaTime);
+        this.throwableManager.update(this.deltaTime);
+        this.flareManager.update(this.deltaTime);
+        this.directorManager.update(this.deltaTime);
+        this.bossManager.update(this.deltaTime);
         this.storyManager.update(this.deltaTime);
         this.effectManager.update(this.deltaTime);
 
@@ -201,6 +240,9 @@ export class GameEngine {
         this.updateLighting();
         this.updatePostProcessing();
 
+        // Update HUD
+        this.updateHUD();
+
         // Check win/lose conditions
         this.checkGameState();
     }
@@ -221,6 +263,31 @@ export class GameEngine {
         }
     }
 
+    updateHUD() {
+        const weapon = this.player.getCurrentWeapon();
+        if (!weapon) return;
+
+        this.uiManager.updateHUD({
+            weapon: weapon.name,
+            ammo: weapon.currentClip,
+            maxAmmo: weapon.ammo,
+            weaponJammed: weapon.isJammed,
+            flashlightFailing: this.player.isFlashlightFailing(),
+            stamina: this.player.getStamina(),
+            maxStamina: this.player.getMaxStamina(),
+            exhausted: this.player.isExhausted,
+            crosshairGap: this.getCrosshairGap(),
+            aiming: this.player.isAimingDownSights()
+        });
+    }
+
+    getCrosshairGap() {
+        // Project the spread cone onto the screen, in pixels
+        const halfSpread = this.player.getCurrentSpread() / 2;
+        const halfFov = THREE.MathUtils.degToRad(this.camera.fov) / 2;
+        return Math.tan(halfSpread) / Math.tan(halfFov) * (window.innerHeight / 2);
+    }
+
     updateLighting() {
         // Update flashlight position and direction
         this.flashlight.position.copy(this.camera.position);
@@ -229,7 +296,9 @@ export class GameEngine {
 
         // Flicker flashlight based on battery
         const batteryLevel = this.player.getBatteryLevel();
-        if (batteryLevel < 0.3) {
+        if (!this.player.isFlashlightActive()) {
+            this.flashlight.intensity = 0;
+        } else if (batteryLevel < 0.3) {
             const flicker = Math.sin(this.gameTime * 20) * 0.3 + 0.7;
             this.flashlight.intensity = flicker * (batteryLevel / 0.3);
         } else {
@@ -347,6 +416,10 @@ export class GameEngine {
         this.enemyManager.cleanup();
         this.worldManager.cleanup();
         this.effectManager.cleanup();
+        this.throwableManager.cleanup();
+        this.flareManager.cleanup();
+        this.directorManager.cleanup();
+        this.bossManager.cleanup();
         this.physicsManager.cleanup();
 
         // Reset game state
@@ -366,6 +439,7 @@ export class GameEngine {
             this.worldManager.loadSaveData(saveData.worldState);
             this.enemyManager.loadSaveData(saveData.enemyState);
             this.storyManager.loadSaveData(saveData.storyState);
+            this.bossManager.loadSaveData(saveData.bossState);
 
             this.isPlaying = true;
             this.isPaused = false;
@@ -384,7 +458,8 @@ export class GameEngine {
             playerState: this.player.getSaveData(),
             worldState: this.worldManager.getSaveData(),
             enemyState: this.enemyManager.getSaveData(),
-            storyState: this.storyManager.getSaveData()
+            storyState: this.storyManager.getSaveData(),
+            bossState: this.bossManager.getSaveData()
         };
 
         const success = this.saveManager.saveGame(saveData, slot);
@@ -408,6 +483,7 @@ export class GameEngine {
     // Debug methods
     toggleDebugMode() {
         this.config.debugMode = !this.config.debugMode;
+        this.worldManager.showPatrolRoutes(this.config.debugMode);
         console.log(`🐛 Debug mode: ${this.config.debugMode ? 'ON' : 'OFF'}`);
     }
 
@@ -419,7 +495,9 @@ export class GameEngine {
             enemyCount: this.enemyManager.getEnemyCount(),
             madnessLevel: this.player.getMadnessLevel(),
             batteryLevel: this.player.getBatteryLevel(),
-            ammoCount: this.player.getAmmoCount()
+            ammoCount: this.player.getAmmoCount(),
+            director: this.directorManager.getDebugInfo(),
+            boss: this.bossManager.getDebugInfo()
         };
     }
 }
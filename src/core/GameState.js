@@ -14,6 +14,8 @@ export class GameState {
             maxHealth: 100,
             battery: 100,
             maxBattery: 100,
+            currentWeapon: 'pistol',
+            weapons: {},
             ammo: 30,
             maxAmmo: 30,
             clip: 10,
@@ -145,6 +147,8 @@ export class GameState {
             maxHealth: 100,
             battery: 100,
             maxBattery: 100,
+            currentWeapon: 'pistol',
+            weapons: {},
             ammo: 30,
             maxAmmo: 30,
             clip: 10,
@@ -1,12 +1,17 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { clone as cloneSkinned } from 'three/examples/jsm/utils/SkeletonUtils.js';
 
 export class ModelManager {
     constructor(loadingManager) {
         this.loadingManager = loadingManager;
         this.models = new Map();
+        this.characterClips = new Map(); // model name -> { clips, speeds } with root motion stripped
         this.gltfLoader = new GLTFLoader();
 
+        // Root motion - the bone whose movement carries the character along
+        this.rootBonePattern = /hips|pelvis|root/i;
+
         // Configure GLTF loader with loading manager
         if (this.loadingManager) {
             this.gltfLoader.manager = this.loadingManager;
@@ -227,6 +232,249 @@ export class ModelManager {
         return placeholder;
     }
 
+    // Characters - always stand on their feet at the origin, facing +z
+    createCharacterInstance(name, options = {}) {
+        const modelData = this.getModel(name);
+        if (!modelData) {
+            return this.createRiggedPlaceholder(name, options);
+        }
+
+        // Skinned meshes need their own skeleton, which a plain clone would share
+        const instance = cloneSkinned(modelData.scene);
+        const size = modelData.originalBox.getSize(new THREE.Vector3());
+        instance.position.y += size.y / 2; // processModel centred it
+
+        const character = new THREE.Group();
+        character.add(instance);
+        const scale = options.height && size.y > 0 ? options.height / size.y : 1;
+        character.scale.setScalar(scale);
+
+        const { clips, speeds } = this.getCharacterClips(name);
+        character.userData.originalModel = name;
+        character.userData.animations = clips;
+        character.userData.clipSpeeds = {};
+        Object.entries(speeds).forEach(([clipName, speed]) => {
+            character.userData.clipSpeeds[clipName] = speed * scale;
+        });
+
+        return character;
+    }
+
+    getCharacterClips(name) {
+        if (!this.characterClips.has(name)) {
+            const modelData = this.getModel(name);
+            const clips = [];
+            const speeds = {};
+
+            (modelData ? modelData.animations : []).forEach(clip => {
+                const prepared = this.stripRootMotion(clip);
+                clips.push(prepared.clip);
+                if (prepared.speed > 0) {
+                    speeds[clip.name] = prepared.speed;
+                }
+            });
+
+            this.characterClips.set(name, { clips, speeds });
+        }
+
+        return this.characterClips.get(name);
+    }
+
+    stripRootMotion(clip) {
+        // The AI moves the character - the clip only gets to bob it up and down.
+        // How far the root travelled tells us how fast the clip expects to be moving.
+        const stripped = clip.clone();
+        const track = stripped.tracks.find(candidate =>
+            candidate.name.endsWith('.position') && this.rootBonePattern.test(candidate.name)
+        );
+        if (!track || track.times.length < 2 || stripped.duration <= 0) {
+            return { clip: stripped, speed: 0 };
+        }
+
+        const values = track.values;
+        const last = values.length - 3;
+        const speed = Math.hypot(values[last] - values[0], values[last + 2] - values[2]) / stripped.duration;
+
+        for (let i = 0; i < values.length; i += 3) {
+            values[i] = values[0];
+            values[i + 2] = values[2];
+        }
+
+        return { clip: stripped, speed };
+    }
+
+    // Rigged placeholder - a bone hierarchy with rigid parts and generated clips,
+    // so missing characters still animate through the same AnimationMixer
+    createRiggedPlaceholder(name, options = {}) {
+        console.log(`📦 Creating rigged placeholder for: ${name}`);
+
+        const material = options.material || new THREE.MeshLambertMaterial({ color: 0x666666 });
+        const rig = name.includes('entity')
+            ? this.createWispRig(material)
+            : this.createHumanoidRig(material);
+
+        rig.root.userData.isPlaceholder = true;
+        rig.root.userData.originalModel = name;
+        rig.root.userData.animations = rig.clips;
+        rig.root.userData.clipSpeeds = rig.speeds;
+
+        return rig.root;
+    }
+
+    createHumanoidRig(material) {
+        const root = new THREE.Group();
+
+        const bone = (boneName, parent, x, y, z) => {
+            const created = new THREE.Bone();
+            created.name = boneName;
+            created.position.set(x, y, z);
+            parent.add(created);
+            return created;
+        };
+        const part = (parent, width, height, depth, offsetY) => {
+            const mesh = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth), material);
+            mesh.position.y = offsetY;
+            mesh.castShadow = true;
+            parent.add(mesh);
+        };
+
+        // Skeleton - 1.8m tall with the feet at the origin
+        const hips = bone('hips', root, 0, 1.0, 0);
+        const spine = bone('spine', hips, 0, 0.1, 0);
+        const head = bone('head', spine, 0, 0.6, 0);
+        const upperArmL = bone('upperArmL', spine, 0.28, 0.5, 0);
+        const upperArmR = bone('upperArmR', spine, -0.28, 0.5, 0);
+        const forearmL = bone('forearmL', upperArmL, 0, -0.32, 0);
+        const forearmR = bone('forearmR', upperArmR, 0, -0.32, 0);
+        const thighL = bone('thighL', hips, 0.12, -0.05, 0);
+        const thighR = bone('thighR', hips, -0.12, -0.05, 0);
+        const shinL = bone('shinL', thighL, 0, -0.45, 0);
+        const shinR = bone('shinR', thighR, 0, -0.45, 0);
+
+        part(hips, 0.4, 0.2, 0.25, 0);
+        part(spine, 0.45, 0.55, 0.25, 0.25);
+        part(head, 0.24, 0.26, 0.24, 0.1);
+        [upperArmL, upperArmR].forEach(arm => part(arm, 0.12, 0.32, 0.12, -0.16));
+        [forearmL, forearmR].forEach(arm => part(arm, 0.1, 0.3, 0.1, -0.15));
+        [thighL, thighR].forEach(leg => part(leg, 0.16, 0.45, 0.16, -0.225));
+        [shinL, shinR].forEach(leg => part(leg, 0.14, 0.45, 0.14, -0.225));
+
+        // Positive angles swing limbs back and lean the body forward
+        const gait = (name, duration, swing, knee, lean) => {
+            const times = [0, 0.25, 0.5, 0.75, 1].map(t => t * duration);
+            return new THREE.AnimationClip(name, duration, [
+                this.createSwingTrack('thighL', times, [-swing, 0, swing, 0, -swing]),
+                this.createSwingTrack('thighR', times, [swing, 0, -swing, 0, swing]),
+                this.createSwingTrack('shinL', times, [0.1, knee, 0.1, 0.1, 0.1]),
+                this.createSwingTrack('shinR', times, [0.1, 0.1, 0.1, knee, 0.1]),
+                this.createSwingTrack('upperArmL', times, [swing * 0.8, 0, -swing * 0.8, 0, swing * 0.8]),
+                this.createSwingTrack('upperArmR', times, [-swing * 0.8, 0, swing * 0.8, 0, -swing * 0.8]),
+                this.createSwingTrack('forearmL', times, [-knee * 0.5, -knee * 0.5, -knee * 0.5, -knee * 0.5, -knee * 0.5]),
+                this.createSwingTrack('forearmR', times, [-knee * 0.5, -knee * 0.5, -knee * 0.5, -knee * 0.5, -knee * 0.5]),
+                this.createSwingTrack('spine', times, [lean, lean + 0.03, lean, lean + 0.03, lean])
+            ]);
+        };
+
+        const clips = [
+            new THREE.AnimationClip('idle', 2, [
+                this.createSwingTrack('spine', [0, 1, 2], [0, 0.04, 0]),
+                this.createSwingTrack('head', [0, 1, 2], [0, -0.05, 0]),
+                this.createSwingTrack('upperArmL', [0, 1, 2], [0.05, 0.1, 0.05]),
+                this.createSwingTrack('upperArmR', [0, 1, 2], [0.05, 0.1, 0.05])
+            ]),
+            gait('walk', 1.0, 0.45, 0.6, 0.05),
+            gait('run', 0.6, 0.9, 1.2, 0.25),
+            new THREE.AnimationClip('attack', 0.8, [
+                this.createSwingTrack('upperArmR', [0, 0.3, 0.5, 0.8], [0, -2.4, -0.3, 0]),
+                this.createSwingTrack('forearmR', [0, 0.3, 0.5, 0.8], [0, -0.8, 0, 0]),
+                this.createSwingTrack('spine', [0, 0.3, 0.5, 0.8], [0, -0.15, 0.3, 0])
+            ]),
+            new THREE.AnimationClip('hit', 0.5, [
+                this.createSwingTrack('spine', [0, 0.15, 0.5], [0, -0.4, 0]),
+                this.createSwingTrack('head', [0, 0.15, 0.5], [0, -0.3, 0]),
+                this.createSwingTrack('upperArmL', [0, 0.15, 0.5], [0, -0.6, 0]),
+                this.createSwingTrack('upperArmR', [0, 0.15, 0.5], [0, -0.6, 0])
+            ]),
+            new THREE.AnimationClip('death', 1.2, [
+                this.createSwingTrack('spine', [0, 0.6, 1.2], [0, 0.8, 1.4]),
+                this.createSwingTrack('head', [0, 0.6, 1.2], [0, 0.3, 0.5]),
+                this.createSwingTrack('thighL', [0, 0.6, 1.2], [0, -0.6, -1.2]),
+                this.createSwingTrack('thighR', [0, 0.6, 1.2], [0, -0.7, -1.3]),
+                this.createSwingTrack('shinL', [0, 0.6, 1.2], [0, 1.0, 1.4]),
+                this.createSwingTrack('shinR', [0, 0.6, 1.2], [0, 1.1, 1.5])
+            ])
+        ];
+
+        // Stride length over cycle time
+        return { root, clips, speeds: { walk: 1.4, run: 3.5 } };
+    }
+
+    createWispRig(material) {
+        const root = new THREE.Group();
+
+        // A bright core trailing a tail of fading blobs, roughly a metre tall
+        const core = new THREE.Bone();
+        core.name = 'core';
+        core.position.y = 0.6;
+        root.add(core);
+
+        const tail = new THREE.Bone();
+        tail.name = 'tail';
+        tail.position.set(0, -0.25, -0.2);
+        core.add(tail);
+
+        const tip = new THREE.Bone();
+        tip.name = 'tip';
+        tip.position.set(0, -0.2, -0.2);
+        tail.add(tip);
+
+        [[core, 0.4], [tail, 0.25], [tip, 0.15]].forEach(([bone, radius]) => {
+            const mesh = new THREE.Mesh(new THREE.SphereGeometry(radius, 12, 12), material);
+            mesh.castShadow = true;
+            bone.add(mesh);
+        });
+
+        const sway = (name, duration, amount) => {
+            const times = [0, duration / 4, duration / 2, duration * 3 / 4, duration];
+            return new THREE.AnimationClip(name, duration, [
+                this.createSwingTrack('tail', times, [0, amount, 0, -amount, 0], 'y'),
+                this.createSwingTrack('tip', times, [0, amount * 1.5, 0, -amount * 1.5, 0], 'y'),
+                this.createSwingTrack('core', times, [amount * 0.3, 0, amount * 0.3, 0, amount * 0.3])
+            ]);
+        };
+
+        const clips = [
+            sway('idle', 2.5, 0.3),
+            sway('walk', 1.2, 0.5),
+            sway('run', 0.6, 0.7),
+            new THREE.AnimationClip('attack', 0.6, [
+                this.createSwingTrack('core', [0, 0.2, 0.6], [0, 0.7, 0]),
+                this.createSwingTrack('tail', [0, 0.2, 0.6], [0, -0.8, 0])
+            ]),
+            new THREE.AnimationClip('hit', 0.4, [
+                this.createSwingTrack('core', [0, 0.1, 0.4], [0, -0.6, 0])
+            ]),
+            new THREE.AnimationClip('death', 1.0, [
+                this.createSwingTrack('tail', [0, 1], [0, 1.5]),
+                this.createSwingTrack('tip', [0, 1], [0, 1.5])
+            ])
+        ];
+
+        return { root, clips, speeds: { walk: 1.5, run: 4.0 } };
+    }
+
+    createSwingTrack(boneName, times, angles, axis = 'x') {
+        const rotationAxis = new THREE.Vector3(axis === 'x' ? 1 : 0, axis === 'y' ? 1 : 0, axis === 'z' ? 1 : 0);
+        const quaternion = new THREE.Quaternion();
+        const values = [];
+
+        angles.forEach(angle => {
+            values.push(...quaternion.setFromAxisAngle(rotationAxis, angle).toArray());
+        });
+
+        return new THREE.QuaternionKeyframeTrack(`${boneName}.quaternion`, times, values);
+    }
+
     // Get all available models
     getAvailableModels() {
         const available = [];
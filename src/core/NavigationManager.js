@@ -0,0 +1,416 @@
+import * as THREE from 'three';
+
+export class NavigationManager {
+    constructor(worldManager) {
+        this.worldManager = worldManager;
+
+        // Grid settings
+        this.cellSize = 1.0;
+        this.agentRadius = 0.4; // walls are grown by this so paths keep clear of them
+        this.doorClearance = worldManager.doorwayDepth; // how deep a doorway is carved through stacked walls
+        this.minHeight = 0.5; // geometry entirely below this is ignored (underground levels)
+        this.maxHeight = 2.0; // or entirely above it
+        this.maxSearchNodes = 8000; // cells expanded before a path is given up on
+        this.neighbours = [
+            [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+            [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+        ];
+
+        // Grid data
+        this.grid = null; // 1 = blocked
+        this.doorCells = new Map(); // door name -> cell indices carved for it
+        this.regions = null; // cell -> id of the connected patch of floor it's in, 0 if blocked
+        this.regionsVersion = -1;
+        this.width = 0;
+        this.depth = 0;
+        this.origin = new THREE.Vector2();
+
+        // Bumped whenever walkability changes so followers know to re-plan
+        this.version = 0;
+
+        this.init();
+    }
+
+    init() {
+        console.log('🧭 Initializing Navigation Manager...');
+
+        // Rebuild when the facility changes
+        document.addEventListener('worldEvent', (event) => {
+            this.handleWorldEvent(event.detail);
+        });
+
+        this.build();
+
+        console.log('✅ Navigation Manager initialized');
+    }
+
+    handleWorldEvent(event) {
+        switch (event.type) {
+            case 'facility_generated':
+                this.build();
+                break;
+            case 'door_locked':
+            case 'door_unlocked':
+                this.updateDoor(event.door);
+                break;
+        }
+    }
+
+    // Grid construction
+    build() {
+        const halfSize = this.worldManager.roomSize * 3; // matches the exterior area
+        this.width = Math.ceil(halfSize * 2 / this.cellSize);
+        this.depth = this.width;
+        this.origin.set(-halfSize, -halfSize);
+        this.grid = new Uint8Array(this.width * this.depth);
+        this.doorCells.clear();
+
+        // Doors are handled separately - they open up rather than block
+        const doorMeshes = new Set();
+        this.worldManager.getDoors().forEach(door => {
+            doorMeshes.add(door.mesh);
+            doorMeshes.add(door.frame);
+        });
+
+        this.worldManager.getCollisionMeshes().forEach(mesh => {
+            if (doorMeshes.has(mesh)) return;
+            this.rasterizeMesh(mesh);
+        });
+
+        // Carve doorways through every wall they sit in
+        this.worldManager.getDoors().forEach(door => {
+            this.doorCells.set(door.name, this.getDoorwayCells(door));
+            this.updateDoor(door);
+        });
+
+        this.version++;
+    }
+
+    rasterizeMesh(mesh) {
+        const bbox = new THREE.Box3().setFromObject(mesh);
+        if (bbox.max.y < this.minHeight || bbox.min.y > this.maxHeight) return;
+
+        const min = this.worldToCell(bbox.min.x - this.agentRadius, bbox.min.z - this.agentRadius);
+        const max = this.worldToCell(bbox.max.x + this.agentRadius, bbox.max.z + this.agentRadius);
+
+        for (let z = Math.max(0, min.z); z <= Math.min(this.depth - 1, max.z); z++) {
+            for (let x = Math.max(0, min.x); x <= Math.min(this.width - 1, max.x); x++) {
+                this.grid[z * this.width + x] = 1;
+            }
+        }
+    }
+
+    getDoorwayCells(door) {
+        // Doors are 2 wide; rotation 0 doors are walked through along x, PI/2 doors along z
+        const alongX = door.rotation !== 0;
+        const halfWidth = 1 - this.agentRadius;
+        const cells = [];
+
+        const minX = door.position.x - (alongX ? halfWidth : this.doorClearance);
+        const maxX = door.position.x + (alongX ? halfWidth : this.doorClearance);
+        const minZ = door.position.z - (alongX ? this.doorClearance : halfWidth);
+        const maxZ = door.position.z + (alongX ? this.doorClearance : halfWidth);
+
+        const min = this.worldToCell(minX, minZ);
+        const max = this.worldToCell(maxX, maxZ);
+
+        for (let z = min.z; z <= max.z; z++) {
+            for (let x = min.x; x <= max.x; x++) {
+                if (!this.isInGrid(x, z)) continue;
+
+                // The cells the door panel itself stands in - a locked door seals the gap in the wall
+                const center = this.cellToWorld(x, z, 0);
+                const offDoorLine = alongX ? center.z - door.position.z : center.x - door.position.x;
+                const underDoor = Math.abs(offDoorLine) <= this.cellSize / 2;
+                const index = z * this.width + x;
+                cells.push({ index, blocked: underDoor ? 1 : this.grid[index] });
+            }
+        }
+
+        return cells;
+    }
+
+    updateDoor(door) {
+        const cells = this.doorCells.get(door.name);
+        if (!cells) return;
+
+        // Unlocked doors can be opened by anyone; locked ones block the doorway
+        cells.forEach(cell => {
+            this.grid[cell.index] = door.isLocked ? cell.blocked : 0;
+        });
+
+        this.version++;
+    }
+
+    // Grid helpers
+    worldToCell(x, z) {
+        return {
+            x: Math.floor((x - this.origin.x) / this.cellSize),
+            z: Math.floor((z - this.origin.y) / this.cellSize)
+        };
+    }
+
+    cellToWorld(x, z, y = 0) {
+        return new THREE.Vector3(
+            this.origin.x + (x + 0.5) * this.cellSize,
+            y,
+            this.origin.y + (z + 0.5) * this.cellSize
+        );
+    }
+
+    isInGrid(x, z) {
+        return x >= 0 && z >= 0 && x < this.width && z < this.depth;
+    }
+
+    isCellWalkable(x, z) {
+        return this.isInGrid(x, z) && this.grid[z * this.width + x] === 0;
+    }
+
+    isWalkable(position) {
+        const cell = this.worldToCell(position.x, position.z);
+        return this.isCellWalkable(cell.x, cell.z);
+    }
+
+    findNearestWalkableCell(cell, maxRadius = 4) {
+        if (this.isCellWalkable(cell.x, cell.z)) return cell;
+
+        for (let radius = 1; radius <= maxRadius; radius++) {
+            for (let dz = -radius; dz <= radius; dz++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    if (Math.abs(dx) !== radius && Math.abs(dz) !== radius) continue;
+                    if (this.isCellWalkable(cell.x + dx, cell.z + dz)) {
+                        return { x: cell.x + dx, z: cell.z + dz };
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Path queries
+    findPath(from, to) {
+        if (!this.grid) return null;
+
+        const start = this.findNearestWalkableCell(this.worldToCell(from.x, from.z));
+        const goal = this.findNearestWalkableCell(this.worldToCell(to.x, to.z));
+        if (!start || !goal) return null;
+
+        // Walled off - no point searching
+        const regions = this.getRegions();
+        if (regions[start.z * this.width + start.x] !== regions[goal.z * this.width + goal.x]) return null;
+
+        const cells = this.aStar(start, goal);
+        if (!cells) return null;
+
+        // Waypoints at the enemy's height, ending exactly on the target
+        const waypoints = this.smoothPath(cells).map(cell => this.cellToWorld(cell.x, cell.z, from.y));
+        waypoints.shift(); // we're already standing on the first cell
+        if (waypoints.length > 0 && this.isWalkable(to)) {
+            waypoints[waypoints.length - 1] = new THREE.Vector3(to.x, from.y, to.z);
+        }
+
+        return waypoints;
+    }
+
+    aStar(start, goal) {
+        const width = this.width;
+        const startIndex = start.z * width + start.x;
+        const goalIndex = goal.z * width + goal.x;
+
+        const gScore = new Map([[startIndex, 0]]);
+        const cameFrom = new Map();
+        const closed = new Set();
+        const open = [{ index: startIndex, f: this.heuristic(start, goal) }]; // binary heap on f
+
+        while (open.length > 0) {
+            const current = this.popOpen(open).index;
+
+            if (current === goalIndex) {
+                return this.reconstructPath(cameFrom, current);
+            }
+
+            if (closed.has(current)) continue;
+            closed.add(current);
+
+            // A goal behind a locked door would otherwise flood the whole grid
+            if (closed.size > this.maxSearchNodes) return null;
+
+            const cx = current % width;
+            const cz = Math.floor(current / width);
+
+            for (const [dx, dz, cost] of this.neighbours) {
+                if (!this.canStep(cx, cz, dx, dz)) continue;
+
+                const nx = cx + dx;
+                const nz = cz + dz;
+                const neighbour = nz * width + nx;
+                if (closed.has(neighbour)) continue;
+
+                const tentative = gScore.get(current) + cost;
+                if (tentative < (gScore.get(neighbour) ?? Infinity)) {
+                    gScore.set(neighbour, tentative);
+                    cameFrom.set(neighbour, current);
+                    this.pushOpen(open, { index: neighbour, f: tentative + this.heuristic({ x: nx, z: nz }, goal) });
+                }
+            }
+        }
+
+        return null;
+    }
+
+    pushOpen(heap, node) {
+        // Sift up
+        heap.push(node);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent].f <= node.f) break;
+            heap[i] = heap[parent];
+            i = parent;
+        }
+        heap[i] = node;
+    }
+
+    popOpen(heap) {
+        // Take the root, then sift the last node down into its place
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length === 0) return top;
+
+        let i = 0;
+        while (true) {
+            const left = i * 2 + 1;
+            if (left >= heap.length) break;
+
+            const right = left + 1;
+            const child = right < heap.length && heap[right].f < heap[left].f ? right : left;
+            if (heap[child].f >= last.f) break;
+
+            heap[i] = heap[child];
+            i = child;
+        }
+        heap[i] = last;
+        return top;
+    }
+
+    canStep(cx, cz, dx, dz) {
+        if (!this.isCellWalkable(cx + dx, cz + dz)) return false;
+
+        // No cutting corners past walls
+        return dx === 0 || dz === 0 || (this.isCellWalkable(cx + dx, cz) && this.isCellWalkable(cx, cz + dz));
+    }
+
+    getRegions() {
+        // Flood-filled lazily, once per change to walkability
+        if (this.regionsVersion === this.version) return this.regions;
+
+        const width = this.width;
+        const regions = new Int32Array(this.grid.length);
+        let nextRegion = 1;
+
+        for (let seed = 0; seed < regions.length; seed++) {
+            if (regions[seed] !== 0 || this.grid[seed] !== 0) continue;
+
+            const stack = [seed];
+            regions[seed] = nextRegion;
+            while (stack.length > 0) {
+                const current = stack.pop();
+                const cx = current % width;
+                const cz = Math.floor(current / width);
+
+                for (const [dx, dz] of this.neighbours) {
+                    const neighbour = (cz + dz) * width + cx + dx;
+                    if (this.canStep(cx, cz, dx, dz) && regions[neighbour] === 0) {
+                        regions[neighbour] = nextRegion;
+                        stack.push(neighbour);
+                    }
+                }
+            }
+            nextRegion++;
+        }
+
+        this.regions = regions;
+        this.regionsVersion = this.version;
+        return regions;
+    }
+
+    heuristic(a, b) {
+        // Octile distance
+        const dx = Math.abs(a.x - b.x);
+        const dz = Math.abs(a.z - b.z);
+        return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+    }
+
+    reconstructPath(cameFrom, current) {
+        const cells = [];
+        while (current !== undefined) {
+            cells.unshift({ x: current % this.width, z: Math.floor(current / this.width) });
+            current = cameFrom.get(current);
+        }
+        return cells;
+    }
+
+    smoothPath(cells) {
+        // String pulling: skip any cell we can walk straight past
+        if (cells.length <= 2) return cells;
+
+        const smoothed = [cells[0]];
+        let anchor = 0;
+
+        for (let i = 2; i < cells.length; i++) {
+            if (!this.hasClearLine(cells[anchor], cells[i])) {
+                anchor = i - 1;
+                smoothed.push(cells[anchor]);
+            }
+        }
+
+        smoothed.push(cells[cells.length - 1]);
+        return smoothed;
+    }
+
+    hasClearLine(a, b) {
+        // Sample the segment at quarter-cell steps
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const steps = Math.ceil(Math.max(Math.abs(dx), Math.abs(dz)) * 4);
+
+        for (let i = 1; i < steps; i++) {
+            const t = i / steps;
+            const x = Math.floor(a.x + 0.5 + dx * t);
+            const z = Math.floor(a.z + 0.5 + dz * t);
+            if (!this.isCellWalkable(x, z)) return false;
+        }
+
+        return true;
+    }
+
+    getRandomWalkablePoint(center, radius, attempts = 10) {
+        for (let i = 0; i < attempts; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const distance = Math.random() * radius;
+            const point = center.clone().add(
+                new THREE.Vector3(Math.cos(angle) * distance, 0, Math.sin(angle) * distance)
+            );
+
+            if (this.isWalkable(point)) return point;
+        }
+
+        return null;
+    }
+
+    // Debug methods
+    getDebugInfo() {
+        let blocked = 0;
+        for (let i = 0; i < this.grid.length; i++) {
+            blocked += this.grid[i];
+        }
+
+        return {
+            gridSize: `${this.width}x${this.depth}`,
+            blockedCells: blocked,
+            doors: this.doorCells.size,
+            version: this.version
+        };
+    }
+}
@@ -21,6 +21,15 @@ export class PhysicsManager {
         this.WORLD_GROUP = 4;
         this.PICKUP_GROUP = 8;
         this.PROJECTILE_GROUP = 16;
+        this.THROWABLE_GROUP = 32;
+        this.RAGDOLL_GROUP = 64;
+
+        // Static colliders mirrored from world meshes, keyed by mesh uuid
+        this.worldColliders = new Map();
+
+        // Ragdolls, keyed by id - { bodyIds, constraints }
+        this.ragdolls = new Map();
+        this.nextProjectileId = 0;
 
         this.init();
     }
@@ -45,6 +54,11 @@ export class PhysicsManager {
         // Setup collision materials
         this.setupCollisionMaterials();
 
+        // Doors take their colliders with them as they open and close
+        document.addEventListener('worldEvent', (event) => {
+            this.handleWorldEvent(event.detail);
+        });
+
         console.log('✅ Physics Manager initialized');
     }
 
@@ -53,10 +67,12 @@ export class PhysicsManager {
         const groundBody = new CANNON.Body({
             mass: 0, // Static body
             shape: groundShape,
-            material: new CANNON.Material({ friction: 0.8, restitution: 0.1 })
+            material: new CANNON.Material({ friction: 0.8, restitution: 0.1 }),
+            collisionFilterGroup: this.WORLD_GROUP
         });
 
         groundBody.position.set(0, -0.5, 0);
+        groundBody.userData = { surface: 'ground' };
         this.world.addBody(groundBody);
         this.bodies.set('ground', groundBody);
     }
@@ -91,6 +107,10 @@ export class PhysicsManager {
         // Step physics simulation
         this.world.step(this.timeStep, deltaTime, this.maxSubSteps);
 
+        // Resolve projectiles
+        this.updateProjectiles(deltaTime);
+        this.checkCollisions();
+
         // Sync Three.js meshes with physics bodies
         this.syncMeshes();
     }
@@ -208,13 +228,19 @@ export class PhysicsManager {
         const enemyBody = new CANNON.Body({
             mass: 70,
             shape: enemyShape,
-            material: new CANNON.Material({ friction: 0.2, restitution: 0.1 }),
+            material: new CANNON.Material({ friction: 0.0, restitution: 0.1 }), // slowed in updateEnemy instead
             collisionFilterGroup: this.ENEMY_GROUP,
-            collisionFilterMask: this.WORLD_GROUP | this.PLAYER_GROUP | this.PROJECTILE_GROUP
+            collisionFilterMask: this.WORLD_GROUP | this.PLAYER_GROUP | this.PROJECTILE_GROUP | this.THROWABLE_GROUP
         });
 
         enemyBody.position.set(enemy.position.x, enemy.position.y, enemy.position.z);
         enemyBody.fixedRotation = true;
+        enemyBody.updateMassProperties(); // fixedRotation only takes effect after this
+        enemyBody.userData = {
+            isEnemy: true,
+            enemyId: enemy.id,
+            surface: 'flesh'
+        };
 
         this.world.addBody(enemyBody);
         this.bodies.set(`enemy_${enemy.id}`, enemyBody);
@@ -222,17 +248,35 @@ export class PhysicsManager {
         return enemyBody;
     }
 
+    placeEnemy(enemy) {
+        // Pooled enemies keep their body between spawns - move it with them
+        const enemyBody = this.bodies.get(`enemy_${enemy.id}`);
+        if (!enemyBody) return;
+
+        enemyBody.position.set(enemy.position.x, enemy.position.y, enemy.position.z);
+        enemyBody.velocity.set(0, 0, 0);
+    }
+
     updateEnemy(enemy, deltaTime) {
         const enemyBody = this.bodies.get(`enemy_${enemy.id}`);
         if (!enemyBody) return;
 
-        // Apply enemy movement
+        // Apply enemy movement - steered directly, since ground friction on the
+        // flat-bottomed body soaks up any force small enough not to tip it over
         if (enemy.velocity.length() > 0) {
-            const force = enemy.velocity.clone().multiplyScalar(400);
-            enemyBody.applyForce(
-                new CANNON.Vec3(force.x, 0, force.z),
+            enemyBody.wakeUp();
+            enemyBody.velocity.x = enemy.velocity.x;
+            enemyBody.velocity.z = enemy.velocity.z;
+        }
+
+        // Apply knockback as a one-off impulse
+        if (enemy.knockback) {
+            enemyBody.wakeUp();
+            enemyBody.applyImpulse(
+                new CANNON.Vec3(enemy.knockback.x * enemyBody.mass, 0, enemy.knockback.z * enemyBody.mass),
                 enemyBody.position
             );
+            enemy.knockback = null;
         }
 
         // Apply friction
@@ -247,15 +291,114 @@ export class PhysicsManager {
         );
     }
 
+    // Ragdolls
+    addRagdoll(id, parts, joints, position, rotationY, velocity) {
+        const orientation = new CANNON.Quaternion();
+        orientation.setFromEuler(0, rotationY, 0);
+        const origin = new CANNON.Vec3(position.x, position.y, position.z);
+        const up = new CANNON.Vec3(0, 1, 0);
+
+        const bodies = {};
+        parts.forEach(part => {
+            const shape = part.shape === 'sphere'
+                ? new CANNON.Sphere(part.size[0])
+                : new CANNON.Box(new CANNON.Vec3(part.size[0] / 2, part.size[1] / 2, part.size[2] / 2));
+
+            const body = new CANNON.Body({
+                mass: part.mass,
+                shape,
+                material: new CANNON.Material({ friction: 0.6, restitution: 0.05 }),
+                collisionFilterGroup: this.RAGDOLL_GROUP,
+                collisionFilterMask: this.WORLD_GROUP | this.THROWABLE_GROUP,
+                linearDamping: 0.1,
+                angularDamping: 0.4
+            });
+
+            body.position.copy(origin.vadd(orientation.vmult(new CANNON.Vec3(...part.offset))));
+            body.quaternion.copy(orientation);
+
+            // Upper body takes the brunt of the blow so it folds over
+            const push = part.push ?? 1;
+            body.velocity.set(velocity.x * push, velocity.y * push, velocity.z * push);
+            body.userData = { isRagdoll: true, ragdollId: id, surface: 'flesh' };
+
+            const bodyId = `${id}_${part.name}`;
+            this.world.addBody(body);
+            this.bodies.set(bodyId, body);
+            if (part.mesh) {
+                this.meshes.set(bodyId, part.mesh);
+            }
+            bodies[part.name] = body;
+        });
+
+        // Joints all start aligned with the body's up axis
+        const constraints = joints.map(joint => {
+            const bodyA = bodies[joint.a];
+            const bodyB = bodies[joint.b];
+            const pivot = origin.vadd(orientation.vmult(new CANNON.Vec3(...joint.pivot)));
+
+            const constraint = new CANNON.ConeTwistConstraint(bodyA, bodyB, {
+                pivotA: bodyA.pointToLocalFrame(pivot),
+                pivotB: bodyB.pointToLocalFrame(pivot),
+                axisA: bodyA.vectorToLocalFrame(up),
+                axisB: bodyB.vectorToLocalFrame(up),
+                angle: joint.angle,
+                twistAngle: joint.twistAngle ?? 0.3,
+                collideConnected: false
+            });
+            this.world.addConstraint(constraint);
+            return constraint;
+        });
+
+        this.ragdolls.set(id, {
+            bodyIds: parts.map(part => `${id}_${part.name}`),
+            constraints
+        });
+    }
+
+    poseRagdoll(id, pose) {
+        // Lay the parts out as given (in part order), at rest
+        const ragdoll = this.ragdolls.get(id);
+        if (!ragdoll) return;
+
+        ragdoll.bodyIds.forEach((bodyId, index) => {
+            const body = this.bodies.get(bodyId);
+            const part = pose[index];
+            if (!body || !part) return;
+
+            body.position.set(...part.position);
+            body.quaternion.set(...part.quaternion);
+            body.velocity.set(0, 0, 0);
+            body.angularVelocity.set(0, 0, 0);
+
+            const mesh = this.meshes.get(bodyId);
+            if (mesh) {
+                mesh.position.fromArray(part.position);
+                mesh.quaternion.fromArray(part.quaternion);
+            }
+        });
+    }
+
+    removeRagdoll(id) {
+        const ragdoll = this.ragdolls.get(id);
+        if (!ragdoll) return;
+
+        ragdoll.constraints.forEach(constraint => this.world.removeConstraint(constraint));
+        ragdoll.bodyIds.forEach(bodyId => this.removeBody(bodyId));
+        this.ragdolls.delete(id);
+    }
+
     // Projectile physics
-    addProjectile(position, direction, speed = 50, damage = 25) {
+    addProjectile(position, direction, speed = 50, damage = 25, options = {}) {
+        const id = `projectile_${this.nextProjectileId++}`;
+
         const projectileShape = new CANNON.Sphere(0.05);
         const projectileBody = new CANNON.Body({
             mass: 0.1,
             shape: projectileShape,
             material: new CANNON.Material({ friction: 0.0, restitution: 0.8 }),
             collisionFilterGroup: this.PROJECTILE_GROUP,
-            collisionFilterMask: this.WORLD_GROUP | this.ENEMY_GROUP
+            collisionFilterMask: options.collisionMask || (this.WORLD_GROUP | this.ENEMY_GROUP)
         });
 
         projectileBody.position.set(position.x, position.y, position.z);
@@ -267,13 +410,21 @@ export class PhysicsManager {
 
         // Add lifetime to projectile
         projectileBody.userData = {
-            lifetime: 5.0, // seconds
+            id: id,
+            type: options.type || 'bullet',
+            lifetime: options.lifetime || 5.0, // seconds
             damage: damage,
-            isProjectile: true
+            isProjectile: true,
+            hasHit: false
         };
 
         this.world.addBody(projectileBody);
-        this.bodies.set(`projectile_${Date.now()}`, projectileBody);
+        this.bodies.set(id, projectileBody);
+
+        // Optional visual that follows the body
+        if (options.mesh) {
+            this.meshes.set(id, options.mesh);
+        }
 
         return projectileBody;
     }
@@ -297,13 +448,128 @@ export class PhysicsManager {
         projectilesToRemove.forEach(id => {
             const body = this.bodies.get(id);
             if (body) {
-                this.world.removeBody(body);
-                this.bodies.delete(id);
+                this.removeBody(id);
+                this.emit('projectileExpired', {
+                    id,
+                    type: body.userData.type,
+                    position: { x: body.position.x, y: body.position.y, z: body.position.z }
+                });
             }
         });
     }
 
+    // Throwable physics
+    addThrowableBody(id, mesh, type, position, velocity) {
+        let shape;
+        switch (type.shape) {
+            case 'box':
+                shape = new CANNON.Box(new CANNON.Vec3(type.size[0] / 2, type.size[1] / 2, type.size[2] / 2));
+                break;
+            case 'cylinder':
+                shape = new CANNON.Cylinder(type.size[0], type.size[0], type.size[1], 8);
+                break;
+            default:
+                shape = new CANNON.Sphere(type.size);
+        }
+
+        const body = new CANNON.Body({
+            mass: type.mass,
+            shape: shape,
+            material: new CANNON.Material({ friction: 0.5, restitution: 0.3 }),
+            collisionFilterGroup: this.THROWABLE_GROUP,
+            collisionFilterMask: this.WORLD_GROUP | this.ENEMY_GROUP | this.THROWABLE_GROUP | this.RAGDOLL_GROUP,
+            linearDamping: 0.1,
+            angularDamping: 0.3
+        });
+
+        body.position.set(position.x, position.y, position.z);
+        body.velocity.set(velocity.x, velocity.y, velocity.z);
+        body.angularVelocity.set(Math.random() * 10 - 5, Math.random() * 10 - 5, Math.random() * 10 - 5);
+        body.userData = {
+            isThrowable: true,
+            surface: 'metal'
+        };
+
+        // Report impacts with how hard they hit and what they hit
+        body.addEventListener('collide', (event) => {
+            const other = event.body;
+            this.emit('throwableImpact', {
+                id,
+                position: { x: body.position.x, y: body.position.y, z: body.position.z },
+                speed: Math.abs(event.contact.getImpactVelocityAlongNormal()),
+                surface: (other.userData && other.userData.surface) || 'concrete'
+            });
+        });
+
+        this.world.addBody(body);
+        this.bodies.set(id, body);
+        this.meshes.set(id, mesh);
+
+        return body;
+    }
+
     // World geometry
+    syncWorldColliders(meshes) {
+        const current = new Set();
+
+        meshes.forEach(mesh => {
+            current.add(mesh.uuid);
+            if (this.worldColliders.has(mesh.uuid)) return;
+
+            // Axis-aligned box around the mesh; planes get a little thickness
+            const bbox = new THREE.Box3().setFromObject(mesh);
+            const size = bbox.getSize(new THREE.Vector3());
+            const center = bbox.getCenter(new THREE.Vector3());
+            const shape = new CANNON.Box(new CANNON.Vec3(
+                Math.max(size.x / 2, 0.05),
+                Math.max(size.y / 2, 0.05),
+                Math.max(size.z / 2, 0.05)
+            ));
+
+            // Only loose objects collide with these - movement still uses the old rules
+            const body = new CANNON.Body({
+                mass: 0,
+                shape: shape,
+                collisionFilterGroup: this.WORLD_GROUP,
+                collisionFilterMask: this.PROJECTILE_GROUP | this.THROWABLE_GROUP | this.RAGDOLL_GROUP
+            });
+            body.position.set(center.x, center.y, center.z);
+            body.updateAABB(); // static bodies never refresh this themselves - rays and the broadphase rely on it
+            body.userData = { surface: mesh.userData.surface || 'concrete' };
+
+            this.world.addBody(body);
+            this.worldColliders.set(mesh.uuid, body);
+        });
+
+        // Drop colliders for geometry that no longer exists
+        for (const [uuid, body] of this.worldColliders) {
+            if (!current.has(uuid)) {
+                this.world.removeBody(body);
+                this.worldColliders.delete(uuid);
+            }
+        }
+    }
+
+    refreshWorldCollider(mesh) {
+        const body = this.worldColliders.get(mesh.uuid);
+        if (!body) return;
+
+        const center = new THREE.Box3().setFromObject(mesh).getCenter(new THREE.Vector3());
+        body.position.set(center.x, center.y, center.z);
+        body.updateAABB();
+    }
+
+    handleWorldEvent(event) {
+        switch (event.type) {
+            case 'door_opened':
+            case 'door_closed':
+            case 'door_locked':
+            case 'door_unlocked':
+                this.refreshWorldCollider(event.door.mesh);
+                break;
+        }
+    }
+
     addStaticBody(mesh, shape) {
         if (!shape) {
             // Auto-generate shape from mesh geometry
@@ -403,18 +669,30 @@ export class PhysicsManager {
     }
 
     handleProjectileCollision(projectile, target) {
+        // A projectile can touch several bodies in one step - only the first counts
+        if (projectile.userData.hasHit) return;
+        projectile.userData.hasHit = true;
+
         // Remove projectile
-        this.world.removeBody(projectile);
-        this.bodies.delete(Array.from(this.bodies.entries()).find(([id, body]) => body === projectile)?.[0]);
+        this.removeBody(projectile.userData.id);
+
+        this.emit('projectileImpact', {
+            id: projectile.userData.id,
+            type: projectile.userData.type,
+            position: { x: projectile.position.x, y: projectile.position.y, z: projectile.position.z },
+            surface: (target.userData && target.userData.surface) || 'concrete'
+        });
 
         // Apply damage if target is enemy
         if (target.userData && target.userData.isEnemy) {
             const damage = projectile.userData.damage;
             // Emit damage event
+            const direction = projectile.velocity.unit();
             this.emit('projectileHit', {
                 target: target.userData.enemyId,
                 damage: damage,
-                position: projectile.position
+                position: projectile.position,
+                direction: { x: direction.x, y: direction.y, z: direction.z }
             });
         }
     }
@@ -440,6 +718,8 @@ export class PhysicsManager {
         return {
             bodiesCount: this.bodies.size,
             meshesCount: this.meshes.size,
+            worldColliders: this.worldColliders.size,
+            ragdolls: this.ragdolls.size,
             gravity: this.gravity,
             timeStep: this.timeStep,
             contactsCount: this.world.contacts.length
@@ -471,8 +751,18 @@ export class PhysicsManager {
             this.world.removeBody(body);
         }
 
+        for (const body of this.worldColliders.values()) {
+            this.world.removeBody(body);
+        }
+
+        for (const ragdoll of this.ragdolls.values()) {
+            ragdoll.constraints.forEach(constraint => this.world.removeConstraint(constraint));
+        }
+
         this.bodies.clear();
         this.meshes.clear();
+        this.worldColliders.clear();
+        this.ragdolls.clear();
 
         console.log('🧹 Physics Manager cleaned up');
     }
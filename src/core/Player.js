@@ -1,9 +1,11 @@
 import * as THREE from 'three';
+import { WeaponManager } from './WeaponManager.js';
 
 export class Player {
     constructor(camera, config) {
         this.camera = camera;
         this.config = config;
+        this.gameEngine = null;
 
         // Player state
         this.health = 100;
@@ -27,6 +29,16 @@ export class Player {
         this.yaw = 0;
         this.maxPitch = Math.PI / 2.2; // Prevent over-rotation
 
+        // Leaning round corners - bound in InputManager.keyBindings
+        this.lean = {
+            distance: 0.6, // metres the view moves sideways at full lean
+            roll: 0.2, // radians the view tilts at full lean
+            speed: 5, // lean transitions per second
+            wallMargin: 0.3 // kept between the view and any wall
+        };
+        this.leanAmount = 0; // -1 full left, 1 full right
+        this.leanOffset = new THREE.Vector3(); // where the view is, relative to the body
+
         // Physics
         this.gravity = -30;
         this.jumpForce = 12;
@@ -34,20 +46,24 @@ export class Player {
         this.canJump = true;
 
         // Weapon system
-        this.weapon = {
-            name: 'Pistol',
-            damage: 25,
-            fireRate: 0.3, // seconds between shots
-            lastFired: 0,
-            recoil: 0.05,
-            ammo: 30,
-            maxAmmo: 30,
-            clipSize: 10,
-            currentClip: 10,
-            reloadTime: 2.0,
-            isReloading: false,
-            reloadStartTime: 0
+        this.weaponManager = new WeaponManager();
+        this.triggerLocked = false; // semi-auto weapons need the trigger released between shots
+
+        // Aiming
+        this.aim = {
+            zoomSpeed: 8, // aim transitions per second
+            spreadMultiplier: 0.4, // spread when fully aimed
+            moveSpeedMultiplier: 0.6,
+            stanceSpread: { still: 1.0, crouched: 0.7, moving: 1.5, sprinting: 2.5, airborne: 2.0 },
+            recoilResetTime: 0.4 // pause before a recoil pattern starts over
         };
+        this.baseFov = camera.fov;
+        this.isAiming = false;
+        this.aimAmount = 0; // 0 = hip, 1 = fully aimed
+        this.spreadBloom = 0;
+        this.recoilOffset = { pitch: 0, yaw: 0 }; // kick not yet recovered
+        this.recoilShotIndex = 0;
+        this.lastRecoilTime = 0;
 
         // Flashlight
         this.flashlightBattery = 100;
@@ -61,14 +77,91 @@ export class Player {
         this.madnessIncreaseRate = 0.01;
         this.madnessDecreaseRate = 0.005;
 
+        // Malfunctions - chances scale with madness and proximity to the signal
+        this.malfunctions = {
+            signalRange: 60, // signal starts interfering within this distance
+            jamChance: { base: 0.002, madness: 0.06, signal: 0.04 }, // per shot
+            clearJamTime: 0.8,
+            dropoutChance: { base: 0, madness: 0.12, signal: 0.2 }, // per check
+            dropoutCheckInterval: 1.0,
+            dropoutDuration: { min: 0.4, max: 2.5 }
+        };
+        this.flashlightDropout = 0; // seconds left until the flashlight recovers
+        this.dropoutCheckTimer = 0;
+
         // Inventory
         this.inventory = {
             ammo: 0,
             batteries: 0,
             healthKits: 0,
             keyCards: [],
-            documents: []
+            documents: [],
+            throwables: [] // carried throwable types, last picked up is thrown first
+        };
+
+        // Melee
+        this.melee = {
+            damage: 15,
+            range: 2.2,
+            arc: 0.5, // minimum dot product between aim and target direction
+            cooldown: 0.8,
+            staminaCost: 20,
+            knockback: 8, // metres per second
+            noiseVolume: 0.15 // a scuffle, not a gunshot
+        };
+        this.lastMeleeTime = 0;
+
+        // Stealth takedown - melee while crouched behind an enemy that hasn't noticed us
+        this.takedown = {
+            range: 1.8,
+            behindDot: 0.5, // minimum dot product between the enemy's facing and the direction from us to it
+            duration: 1.4, // seconds the camera is locked for
+            turnSpeed: 10, // how quickly the view snaps onto the target
+            lookDownPitch: -0.35, // radians the view drops as the enemy goes down
+            cameraDip: 0.4, // metres we sink with it
+            noiseVolume: 0.05, // barely a scuffle
+            cueVolume: 0.5
+        };
+        this.activeTakedown = null; // { enemy, timer, startPitch, height } while the camera is locked
+
+        // Hiding in lockers and under desks - where each one puts the view is in WorldManager.hidingSpotTypes
+        this.hiding = {
+            transitionDuration: 0.6, // seconds climbing in or out
+            noiseVolume: 0.1, // a door creaking or a chair scraping
+            madnessRate: 0.01 // per second - shut in the dark, listening for footsteps
+        };
+        this.hidingSpot = null; // the furniture we're in, or climbing in or out of
+        this.hidingExit = null; // where we climb back out to
+        this.hideTransition = null; // { from, to, fromYaw, toYaw, fromPitch, toPitch, timer, entering }
+        this.isHidden = false; // all the way in and out of sight
+
+        // Stamina
+        this.stamina = 100;
+        this.maxStamina = 100;
+        this.staminaRegenRate = 15; // per second
+        this.staminaRegenDelay = 1.2; // seconds after last using any before it starts coming back
+        this.sprintStaminaCost = 18; // per second
+        this.jumpStaminaCost = 12;
+        this.sprintRecoveryStamina = 25; // sprinting until empty locks it out until this much is back
+        this.lowStamina = 30; // below this we're out of breath
+        this.staminaRegenTimer = 0;
+        this.isExhausted = false;
+
+        // Out of breath - audible to anything close, and hard to hold the view steady
+        this.breathing = {
+            interval: 1.6, // seconds between breaths
+            loudness: 0.15, // as heard by enemies, when completely spent
+            volume: 0.6,
+            swayAmount: 0.015, // radians the view rocks with each breath when completely spent
+            swaySpeed: 1 / 1.6 * Math.PI * 2 // one sway per breath
         };
+        this.breathTimer = 0;
+        this.breathingPhase = 0;
+        this.breathingSway = { pitch: 0, yaw: 0 };
+
+        // Throwing
+        this.maxThrowables = 3;
+        this.throwCooldown = 0;
 
         // Interaction
         this.interactionRange = 3.0;
@@ -85,7 +178,11 @@ export class Player {
             crouch: false,
             sprint: false,
             shoot: false,
+            aim: false,
             reload: false,
+            switchWeapon: false,
+            throw: false,
+            melee: false,
             interact: false,
             flashlight: false
         };
@@ -99,7 +196,13 @@ export class Player {
 
         // Audio feedback
         this.lastFootstepTime = 0;
-        this.footstepInterval = 0.3;
+        this.footsteps = {
+            // interval in seconds, loudness as heard by enemies
+            walk: { interval: 0.5, loudness: 0.3 },
+            sprint: { interval: 0.3, loudness: 0.7 },
+            crouch: { interval: 0.7, loudness: 0.05 }
+        };
+        this.snowFootstepMultiplier = 0.6; // snow muffles footsteps
 
         this.init();
     }
@@ -115,6 +218,15 @@ export class Player {
         console.log('👤 Player initialized');
     }
 
+    // Currently equipped weapon state
+    get weapon() {
+        return this.weaponManager.getCurrentWeapon();
+    }
+
+    setGameEngine(gameEngine) {
+        this.gameEngine = gameEngine;
+    }
+
     setupInputListeners() {
         // Mouse movement for camera
         document.addEventListener('mousemove', (event) => {
@@ -128,6 +240,8 @@ export class Player {
             if (document.pointerLockElement === document.body) {
                 if (event.button === 0) { // Left click
                     this.keys.shoot = true;
+                } else if (event.button === 2) { // Right click
+                    this.keys.aim = true;
                 }
             }
         });
@@ -135,6 +249,15 @@ export class Player {
         document.addEventListener('mouseup', (event) => {
             if (event.button === 0) {
                 this.keys.shoot = false;
+            } else if (event.button === 2) {
+                this.keys.aim = false;
+            }
+        });
+
+        // Right click aims, don't open the context menu mid-game
+        document.addEventListener('contextmenu', (event) => {
+            if (document.pointerLockElement === document.body) {
+                event.preventDefault();
             }
         });
 
@@ -156,6 +279,9 @@ export class Player {
     }
 
     handleMouseMove(event) {
+        // The takedown or climbing in and out of hiding has the camera
+        if (this.activeTakedown || this.hideTransition) return;
+
         const movementX = event.movementX || 0;
         const movementY = event.movementY || 0;
 
@@ -166,8 +292,22 @@ export class Player {
         this.pitch -= movementY * 0.002 * this.mouseSensitivity;
         this.pitch = Math.max(-this.maxPitch, Math.min(this.maxPitch, this.pitch));
 
+        // Only so much can be seen through the gaps
+        if (this.hidingSpot) {
+            this.clampHidingView();
+        }
+
         // Apply rotation to camera
-        this.camera.rotation.set(this.pitch, this.yaw, 0, 'YXZ');
+        this.updateCameraRotation();
+    }
+
+    updateCameraRotation() {
+        this.camera.rotation.set(
+            this.pitch + this.breathingSway.pitch,
+            this.yaw + this.breathingSway.yaw,
+            -this.leanAmount * this.lean.roll,
+            'YXZ'
+        );
     }
 
     handleKeyDown(event) {
@@ -210,6 +350,18 @@ export class Player {
                 this.keys.reload = true;
                 event.preventDefault();
                 break;
+            case 'KeyQ':
+                this.keys.switchWeapon = true;
+                event.preventDefault();
+                break;
+            case 'KeyG':
+                this.keys.throw = true;
+                event.preventDefault();
+                break;
+            case 'KeyV':
+                this.keys.melee = true;
+                event.preventDefault();
+                break;
             case 'KeyE':
                 this.keys.interact = true;
                 event.preventDefault();
@@ -253,6 +405,15 @@ export class Player {
             case 'KeyR':
                 this.keys.reload = false;
                 break;
+            case 'KeyQ':
+                this.keys.switchWeapon = false;
+                break;
+            case 'KeyG':
+                this.keys.throw = false;
+                break;
+            case 'KeyV':
+                this.keys.melee = false;
+                break;
             case 'KeyE':
                 this.keys.interact = false;
                 break;
@@ -265,20 +426,54 @@ export class Player {
     update(deltaTime) {
         if (this.isDead) return;
 
-        // Update position based on current camera position
-        this.position.copy(this.camera.position);
+        // Update position based on current camera position - the body stays put while the view leans
+        this.position.copy(this.camera.position).sub(this.leanOffset);
+
+        // Nothing else happens until a takedown is over
+        if (this.activeTakedown) {
+            this.updateTakedown(deltaTime);
+            return;
+        }
+
+        // Or while hiding
+        if (this.hidingSpot) {
+            this.updateHiding(deltaTime);
+            return;
+        }
 
         // Handle movement
         this.handleMovement(deltaTime);
 
+        // Handle leaning
+        this.handleLean(deltaTime);
+
+        // Handle weapon switching
+        this.handleWeaponSwitching(deltaTime);
+
+        // Handle aiming
+        this.handleAiming(deltaTime);
+
         // Handle shooting
         this.handleShooting(deltaTime);
 
+        // Recover from recoil and spread bloom
+        this.updateRecoil(deltaTime);
+
         // Handle reloading
         this.handleReloading(deltaTime);
 
+        // Mirror ammo into the shared game state
+        this.syncWeaponState();
+
         // Handle flashlight
         this.handleFlashlight(deltaTime);
+        this.updateFlashlightMalfunction(deltaTime);
+
+        // Handle melee
+        this.handleMelee(deltaTime);
+
+        // Handle throwing
+        this.handleThrowing(deltaTime);
 
         // Handle interactions
         this.handleInteractions(deltaTime);
@@ -289,6 +484,9 @@ export class Player {
         // Update battery level
         this.updateBattery(deltaTime);
 
+        // Update stamina
+        this.updateStamina(deltaTime);
+
         // Update physics
         this.updatePhysics(deltaTime);
 
@@ -299,7 +497,7 @@ export class Player {
         this.clampToWorldBounds();
 
         // Update camera position
-        this.camera.position.copy(this.position);
+        this.camera.position.copy(this.position).add(this.leanOffset);
     }
 
     handleMovement(deltaTime) {
@@ -322,9 +520,11 @@ export class Player {
         // Determine speed based on state
         this.currentSpeed = this.speed;
 
-        if (this.keys.sprint && this.isGrounded) {
+        const isMoving = this.direction.length() > 0;
+        if (this.keys.sprint && this.isGrounded && isMoving && !this.keys.crouch && !this.isExhausted) {
             this.currentSpeed = this.sprintSpeed;
             this.isSprinting = true;
+            this.useStamina(this.sprintStaminaCost * deltaTime);
         } else {
             this.isSprinting = false;
         }
@@ -336,6 +536,10 @@ export class Player {
             this.isCrouching = false;
         }
 
+        if (this.isAiming) {
+            this.currentSpeed *= this.aim.moveSpeedMultiplier;
+        }
+
         // Apply movement
         if (this.direction.length() > 0) {
             const movement = this.direction.clone().multiplyScalar(this.currentSpeed * deltaTime);
@@ -343,7 +547,8 @@ export class Player {
         }
 
         // Handle jumping
-        if (this.keys.jump && this.isGrounded && this.canJump) {
+        if (this.keys.jump && this.isGrounded && this.canJump && this.stamina >= this.jumpStaminaCost) {
+            this.useStamina(this.jumpStaminaCost);
             this.velocity.y = this.jumpForce;
             this.isGrounded = false;
             this.canJump = false;
@@ -355,20 +560,86 @@ export class Player {
         }
     }
 
+    handleLean(deltaTime) {
+        const inputManager = this.gameEngine && this.gameEngine.inputManager;
+        const held = action => inputManager && (inputManager.isPressed(action) || inputManager.isHeld(action));
+
+        // Can't lean on the run
+        let target = 0;
+        if (!this.isSprinting) {
+            if (held('leanLeft')) target -= 1;
+            if (held('leanRight')) target += 1;
+        }
+
+        const step = this.lean.speed * deltaTime;
+        this.leanAmount += THREE.MathUtils.clamp(target - this.leanAmount, -step, step);
+
+        // Sideways, stopping short of anything solid
+        const right = new THREE.Vector3(Math.cos(this.yaw), 0, -Math.sin(this.yaw));
+        const side = Math.sign(this.leanAmount);
+        let distance = Math.abs(this.leanAmount) * this.lean.distance;
+
+        const physicsManager = this.gameEngine && this.gameEngine.physicsManager;
+        if (distance > 0 && physicsManager) {
+            const reach = this.position.clone().addScaledVector(right, side * (distance + this.lean.wallMargin));
+            const hit = physicsManager.raycast(this.position, reach, {
+                collisionFilterMask: physicsManager.WORLD_GROUP
+            });
+            if (hit.hasHit) {
+                distance = Math.max(0, Math.min(distance, hit.distance - this.lean.wallMargin));
+            }
+        }
+
+        this.leanOffset.copy(right).multiplyScalar(side * distance);
+        this.updateCameraRotation();
+    }
+
+    isLeaning() {
+        return this.leanOffset.lengthSq() > 0.01;
+    }
+
+    getHeadPosition() {
+        // Where the view is - round the corner, if we're leaning
+        return this.position.clone().add(this.leanOffset);
+    }
+
+    handleWeaponSwitching(deltaTime) {
+        if (this.keys.switchWeapon) {
+            this.weaponManager.cycleWeapon();
+            this.keys.switchWeapon = false; // One switch per key press
+        }
+
+        this.weaponManager.update(deltaTime);
+    }
+
     handleShooting(deltaTime) {
-        if (this.weapon.isReloading) return;
+        if (!this.keys.shoot) {
+            this.triggerLocked = false;
+        }
+
+        if (this.weapon.isReloading || this.weapon.isClearingJam || this.weaponManager.isSwitching()) return;
 
         const currentTime = performance.now() / 1000;
+        const triggerPulled = this.keys.shoot && (this.weapon.fireMode === 'auto' || !this.triggerLocked);
+
+        if (triggerPulled && currentTime - this.weapon.lastFired >= this.weapon.fireRate) {
+            this.triggerLocked = true;
 
-        if (this.keys.shoot && currentTime - this.weapon.lastFired >= this.weapon.fireRate) {
-            if (this.weapon.currentClip > 0) {
+            if (this.weapon.isJammed) {
+                // Dead trigger until the jam is cleared
+                this.weapon.lastFired = currentTime;
+                this.playEmptyWeaponSound();
+            } else if (this.weapon.currentClip > 0 && this.rollMalfunction(this.malfunctions.jamChance)) {
+                this.weapon.lastFired = currentTime;
+                this.jamWeapon();
+            } else if (this.weapon.currentClip > 0) {
                 this.fireWeapon();
                 this.weapon.lastFired = currentTime;
                 this.weapon.currentClip--;
 
-                // Apply recoil
-                this.pitch += this.weapon.recoil;
-                this.pitch = Math.min(this.maxPitch, this.pitch);
+                // Apply recoil and bloom
+                this.applyRecoil();
+                this.spreadBloom = Math.min(this.weapon.maxBloom, this.spreadBloom + this.weapon.bloomPerShot);
             } else {
                 // Click sound for empty weapon
                 this.playEmptyWeaponSound();
@@ -377,46 +648,188 @@ export class Player {
     }
 
     fireWeapon() {
-        // Create bullet trajectory
-        const bulletDirection = new THREE.Vector3(0, 0, -1);
-        bulletDirection.applyEuler(this.camera.rotation);
-
-        // Add spread (inaccuracy)
-        const spread = 0.02;
-        bulletDirection.x += (Math.random() - 0.5) * spread;
-        bulletDirection.y += (Math.random() - 0.5) * spread;
-        bulletDirection.z += (Math.random() - 0.5) * spread;
-        bulletDirection.normalize();
-
         // Play shooting sound
         this.playShootingSound();
 
+        // Gunfire is loud - let the sound-based AI know about it
+        if (this.gameEngine) {
+            const enemyManager = this.gameEngine.enemyManager;
+            enemyManager.registerSoundEvent(this.position, this.weapon.noiseRadius / enemyManager.soundRangeScale, 'gunshot');
+        }
+
         // Create muzzle flash effect
         this.createMuzzleFlash();
 
-        // Raycast for hit detection
-        this.performRaycast(bulletDirection);
+        // Projectile weapons launch a physical round instead of raycasting
+        if (this.weapon.projectile) {
+            this.fireProjectile();
+            this.triggerScreenShake();
+            return;
+        }
+
+        // One ray per pellet
+        const spread = this.getCurrentSpread();
+        for (let i = 0; i < this.weapon.pellets; i++) {
+            // Create bullet trajectory
+            const bulletDirection = new THREE.Vector3(0, 0, -1);
+            bulletDirection.applyEuler(this.camera.rotation);
+
+            // Add spread (inaccuracy)
+            bulletDirection.x += (Math.random() - 0.5) * spread;
+            bulletDirection.y += (Math.random() - 0.5) * spread;
+            bulletDirection.z += (Math.random() - 0.5) * spread;
+            bulletDirection.normalize();
+
+            // Raycast for hit detection
+            this.performRaycast(bulletDirection);
+        }
 
         // Trigger screen shake
         this.triggerScreenShake();
     }
 
+    handleAiming(deltaTime) {
+        const aimHeld = this.keys.aim ||
+            (this.gameEngine && this.gameEngine.inputManager && this.gameEngine.inputManager.isHeld('aim'));
+
+        // Can't aim while sprinting or with the gun away from the shoulder
+        this.isAiming = aimHeld && !this.isSprinting && !this.weapon.isReloading &&
+            !this.weapon.isClearingJam && !this.weaponManager.isSwitching();
+
+        const target = this.isAiming ? 1 : 0;
+        const step = this.aim.zoomSpeed * deltaTime;
+        this.aimAmount += Math.max(-step, Math.min(step, target - this.aimAmount));
+
+        // Zoom the camera
+        const fov = this.baseFov / THREE.MathUtils.lerp(1, this.weapon.adsZoom, this.aimAmount);
+        if (Math.abs(this.camera.fov - fov) > 0.01) {
+            this.camera.fov = fov;
+            this.camera.updateProjectionMatrix();
+        }
+    }
+
+    getCurrentSpread() {
+        let stance = 'still';
+        if (!this.isGrounded) {
+            stance = 'airborne';
+        } else if (this.isSprinting) {
+            stance = 'sprinting';
+        } else if (this.isCrouching) {
+            stance = 'crouched';
+        } else if (this.direction.length() > 0) {
+            stance = 'moving';
+        }
+
+        const aimMultiplier = THREE.MathUtils.lerp(1, this.aim.spreadMultiplier, this.aimAmount);
+        return (this.weapon.spread + this.spreadBloom) * this.aim.stanceSpread[stance] * aimMultiplier;
+    }
+
+    applyRecoil() {
+        const currentTime = performance.now() / 1000;
+        const pattern = this.weapon.recoilPattern;
+
+        // Pattern starts over after a pause in firing
+        if (currentTime - this.lastRecoilTime > this.aim.recoilResetTime) {
+            this.recoilShotIndex = 0;
+        }
+        this.lastRecoilTime = currentTime;
+
+        // Past the end of the pattern keep repeating the last kick
+        const [pitchKick, yawKick] = pattern[Math.min(this.recoilShotIndex, pattern.length - 1)];
+        this.recoilShotIndex++;
+
+        // Aimed shots kick less
+        const scale = this.weapon.recoil * THREE.MathUtils.lerp(1, 0.7, this.aimAmount);
+        const pitch = Math.min(this.maxPitch, this.pitch + pitchKick * scale);
+
+        this.recoilOffset.pitch += pitch - this.pitch;
+        this.recoilOffset.yaw += yawKick * scale;
+        this.pitch = pitch;
+        this.yaw += yawKick * scale;
+        this.updateCameraRotation();
+    }
+
+    updateRecoil(deltaTime) {
+        // Spread settles back down
+        this.spreadBloom = Math.max(0, this.spreadBloom - this.weapon.bloomRecovery * deltaTime);
+
+        // Drift back towards where we were aiming before the kick
+        const recovery = this.weapon.recoilRecovery * deltaTime;
+        if (this.recoilOffset.pitch === 0 && this.recoilOffset.yaw === 0) return;
+
+        const pitchStep = Math.max(-recovery, Math.min(recovery, this.recoilOffset.pitch));
+        const yawStep = Math.max(-recovery, Math.min(recovery, this.recoilOffset.yaw));
+
+        this.recoilOffset.pitch -= pitchStep;
+        this.recoilOffset.yaw -= yawStep;
+        this.pitch = Math.max(-this.maxPitch, this.pitch - pitchStep);
+        this.yaw -= yawStep;
+        this.updateCameraRotation();
+    }
+
+    isAimingDownSights() {
+        return this.isAiming;
+    }
+
+    fireProjectile() {
+        if (!this.gameEngine) return null;
+
+        const direction = new THREE.Vector3(0, 0, -1);
+        direction.applyEuler(this.camera.rotation);
+
+        // Spawn clear of the player
+        const origin = this.camera.position.clone().add(direction.clone().multiplyScalar(0.6));
+
+        return this.gameEngine.flareManager.launchFlare(origin, direction, this.weapon.projectileSpeed, this.weapon.damage);
+    }
+
     performRaycast(direction) {
-        // In a full implementation, this would use the physics engine
-        // For now, we'll simulate basic raycasting
-        const raycaster = new THREE.Raycaster();
-        raycaster.set(this.camera.position, direction);
+        if (!this.gameEngine) return null;
+
+        const { enemyManager, worldManager, effectManager } = this.gameEngine;
 
-        // Check for hits against enemies, walls, etc.
-        // This would be handled by the physics/world manager
+        const raycaster = new THREE.Raycaster(this.camera.position, direction, 0.1, this.weapon.range);
+        const enemyMeshes = enemyManager.getHittableMeshes();
+        const targets = [...enemyMeshes, ...worldManager.getCollisionMeshes()];
+
+        // Closest hit wins, so walls block shots at enemies behind them
+        const hit = raycaster.intersectObjects(targets, false)[0];
+        if (!hit) return null;
+
+        if (enemyMeshes.includes(hit.object)) {
+            const enemy = enemyManager.getEnemyByMesh(hit.object);
+            const result = enemyManager.applyHit(enemy, this.weapon.damage, hit.point, direction);
+
+            effectManager.createBloodEffect(hit.point, direction);
+
+            return result ? { type: 'enemy', enemy, point: hit.point, ...result } : null;
+        }
+
+        const normal = hit.face
+            ? hit.face.normal.clone().transformDirection(hit.object.matrixWorld)
+            : direction.clone().negate();
+        effectManager.createImpactEffect(hit.point, normal);
+
+        return { type: 'world', point: hit.point, normal };
     }
 
     handleReloading(deltaTime) {
-        if (this.weapon.isReloading) {
-            const currentTime = performance.now() / 1000;
+        if (this.weaponManager.isSwitching()) return;
+
+        const currentTime = performance.now() / 1000;
+
+        if (this.weapon.isClearingJam) {
+            if (currentTime - this.weapon.clearJamStartTime >= this.malfunctions.clearJamTime) {
+                this.finishClearingJam();
+            }
+        } else if (this.weapon.isReloading) {
             if (currentTime - this.weapon.reloadStartTime >= this.weapon.reloadTime) {
                 this.finishReloading();
             }
+        } else if (this.keys.reload && this.weapon.isJammed) {
+            // Reload key racks the slide instead of swapping the magazine
+            this.startClearingJam();
+            this.keys.reload = false; // Holding R shouldn't chain into a reload
         } else if (this.keys.reload && this.weapon.currentClip < this.weapon.clipSize && this.weapon.ammo > 0) {
             this.startReloading();
         }
@@ -437,6 +850,76 @@ export class Player {
         this.weapon.isReloading = false;
     }
 
+    // Malfunctions
+    getMalfunctionChance(chances) {
+        const signalProximity = Math.max(0, 1 - this.getDistanceToSignal() / this.malfunctions.signalRange);
+        return chances.base + chances.madness * this.madnessLevel + chances.signal * signalProximity;
+    }
+
+    rollMalfunction(chances) {
+        return Math.random() < this.getMalfunctionChance(chances);
+    }
+
+    jamWeapon() {
+        this.weapon.isJammed = true;
+        this.playJamSound();
+        this.showNotification(`${this.weapon.name} jammed - press R to clear`, 'warning', 2000);
+    }
+
+    startClearingJam() {
+        this.weapon.isClearingJam = true;
+        this.weapon.clearJamStartTime = performance.now() / 1000;
+        this.playClearJamSound();
+
+        // Racking the slide is quiet, but not silent
+        if (this.gameEngine) {
+            this.gameEngine.enemyManager.registerSoundEvent(this.position, 0.3, 'weapon_rack');
+        }
+    }
+
+    finishClearingJam() {
+        this.weapon.isJammed = false;
+        this.weapon.isClearingJam = false;
+
+        // The stuck round is ejected
+        this.weapon.currentClip = Math.max(0, this.weapon.currentClip - 1);
+    }
+
+    updateFlashlightMalfunction(deltaTime) {
+        if (this.flashlightDropout > 0) {
+            this.flashlightDropout = Math.max(0, this.flashlightDropout - deltaTime);
+            return;
+        }
+
+        if (!this.flashlightOn || this.flashlightBattery <= 0) return;
+
+        this.dropoutCheckTimer += deltaTime;
+        if (this.dropoutCheckTimer < this.malfunctions.dropoutCheckInterval) return;
+        this.dropoutCheckTimer = 0;
+
+        if (this.rollMalfunction(this.malfunctions.dropoutChance)) {
+            this.triggerFlashlightDropout();
+        }
+    }
+
+    triggerFlashlightDropout() {
+        const { min, max } = this.malfunctions.dropoutDuration;
+        this.flashlightDropout = min + Math.random() * (max - min);
+        this.playFlashlightFailSound();
+    }
+
+    isFlashlightActive() {
+        return this.flashlightOn && this.flashlightDropout <= 0 && this.flashlightBattery > 0;
+    }
+
+    isFlashlightFailing() {
+        return this.flashlightOn && this.flashlightDropout > 0;
+    }
+
+    isWeaponJammed() {
+        return this.weapon.isJammed;
+    }
+
     handleFlashlight(deltaTime) {
         if (this.keys.flashlight) {
             this.toggleFlashlight();
@@ -444,9 +927,314 @@ export class Player {
         }
     }
 
+    syncWeaponState() {
+        const gameState = this.config.gameState;
+        if (!gameState) return;
+
+        gameState.updatePlayerState({
+            currentWeapon: this.weapon.id,
+            clip: this.weapon.currentClip,
+            maxClip: this.weapon.clipSize,
+            ammo: this.weapon.ammo,
+            maxAmmo: this.weapon.maxAmmo,
+            weapons: this.weaponManager.getAmmoState()
+        });
+    }
+
     toggleFlashlight() {
         this.flashlightOn = !this.flashlightOn;
-        // This would control the actual flashlight light in the game engine
+
+        // A failing flashlight may not come back on straight away
+        if (this.flashlightOn && this.rollMalfunction(this.malfunctions.dropoutChance)) {
+            this.triggerFlashlightDropout();
+        }
+    }
+
+    handleMelee(deltaTime) {
+        if (!this.keys.melee) return;
+        this.keys.melee = false; // One swing per key press
+
+        const currentTime = performance.now() / 1000;
+        if (currentTime - this.lastMeleeTime < this.melee.cooldown) return;
+        if (this.weaponManager.isSwitching()) return;
+
+        // Crouched next to something going about its business - go for the quiet kill instead
+        if (this.isCrouching && this.tryTakedown()) {
+            this.lastMeleeTime = currentTime;
+            return;
+        }
+
+        if (this.stamina < this.melee.staminaCost) return;
+
+        this.lastMeleeTime = currentTime;
+        this.useStamina(this.melee.staminaCost);
+        this.performMelee();
+    }
+
+    performMelee() {
+        if (!this.gameEngine) return null;
+
+        const enemyManager = this.gameEngine.enemyManager;
+
+        enemyManager.registerSoundEvent(this.position, this.melee.noiseVolume, 'melee');
+
+        const target = this.getMeleeTarget(this.melee.range);
+        if (!target) return null;
+
+        const direction = target.position.clone().sub(this.position);
+        const result = enemyManager.applyShove(target, this.melee.damage, direction, this.melee.knockback);
+        this.playMeleeHitSound();
+
+        return result;
+    }
+
+    getMeleeTarget(range, filter = null) {
+        // Closest enemy in front of us within reach - flat, reach doesn't care about pitch
+        const forward = new THREE.Vector3(-Math.sin(this.yaw), 0, -Math.cos(this.yaw));
+
+        let target = null;
+        let targetDistance = Infinity;
+        this.gameEngine.enemyManager.getEnemiesInRange(this.position, range + 1).forEach(enemy => {
+            if (!enemy.isAlive || (filter && !filter(enemy))) return;
+
+            const toEnemy = enemy.position.clone().sub(this.position).setY(0);
+            const distance = toEnemy.length();
+            if (distance > range || distance >= targetDistance) return;
+            if (toEnemy.normalize().dot(forward) < this.melee.arc) return;
+
+            target = enemy;
+            targetDistance = distance;
+        });
+
+        return target;
+    }
+
+    tryTakedown() {
+        if (!this.gameEngine) return false;
+
+        const enemyManager = this.gameEngine.enemyManager;
+        const target = this.getMeleeTarget(this.takedown.range, enemy => enemyManager.takedownStates.includes(enemy.state));
+        if (!target) return false;
+
+        if (!enemyManager.canTakeDown(target, this, this.takedown.behindDot)) {
+            // Seen coming, or grabbed from the side - it fights back
+            enemyManager.failTakedown(target, this);
+            this.playMeleeHitSound();
+            return true;
+        }
+
+        enemyManager.startTakedown(target);
+        enemyManager.registerSoundEvent(this.position, this.takedown.noiseVolume, 'takedown');
+        this.playSound('takedown', { volume: this.takedown.cueVolume });
+
+        this.velocity.set(0, 0, 0);
+        this.isAiming = false;
+        this.leanAmount = 0;
+        this.leanOffset.set(0, 0, 0);
+        this.activeTakedown = { enemy: target, timer: 0, startPitch: this.pitch, height: this.position.y };
+        return true;
+    }
+
+    updateTakedown(deltaTime) {
+        const takedown = this.activeTakedown;
+        const enemy = takedown.enemy;
+        takedown.timer += deltaTime;
+        this.position.y = takedown.height; // only the view sinks, not the player
+
+        // Something else got to it first
+        if (!enemy.isAlive || enemy.state !== 'takedown') {
+            this.endTakedown();
+            return;
+        }
+
+        // Locked onto the target, sinking down with it and back up
+        const toEnemy = enemy.position.clone().sub(this.position);
+        const yawError = Math.atan2(-toEnemy.x, -toEnemy.z) - this.yaw;
+        const turn = Math.min(1, this.takedown.turnSpeed * deltaTime);
+        const dip = Math.sin(Math.min(1, takedown.timer / this.takedown.duration) * Math.PI);
+
+        this.yaw += Math.atan2(Math.sin(yawError), Math.cos(yawError)) * turn;
+        this.pitch += (takedown.startPitch + this.takedown.lookDownPitch * dip - this.pitch) * turn;
+        this.updateCameraRotation();
+        this.camera.position.copy(this.position);
+        this.camera.position.y -= this.takedown.cameraDip * dip;
+
+        if (takedown.timer >= this.takedown.duration) {
+            // Pulled back off its feet
+            this.gameEngine.enemyManager.finishTakedown(enemy, toEnemy.negate());
+            this.endTakedown();
+        }
+    }
+
+    endTakedown() {
+        this.activeTakedown = null;
+        this.camera.position.copy(this.position);
+    }
+
+    tryHide() {
+        if (!this.gameEngine) return false;
+
+        // Nearest free spot within reach
+        const feet = this.position.clone().setY(0);
+        let nearest = null;
+        let nearestDistance = this.interactionRange;
+        this.gameEngine.worldManager.getHidingSpots().forEach(spot => {
+            const distance = spot.position.distanceTo(feet);
+            if (!spot.hidingSpot.occupant && distance < nearestDistance) {
+                nearest = spot;
+                nearestDistance = distance;
+            }
+        });
+        if (!nearest) return false;
+
+        this.enterHidingSpot(nearest);
+        return true;
+    }
+
+    enterHidingSpot(spot) {
+        const hidingSpot = spot.hidingSpot;
+        const enemyManager = this.gameEngine.enemyManager;
+
+        // Anyone watching sees where we went
+        enemyManager.notePlayerHiding(this, spot);
+        enemyManager.registerSoundEvent(this.position, this.hiding.noiseVolume, 'hiding');
+        this.playSound(hidingSpot.kind === 'locker' ? 'door_open' : 'footstep_concrete', { volume: 0.4 });
+
+        hidingSpot.occupant = this;
+        this.hidingSpot = spot;
+        this.hidingExit = hidingSpot.approach.clone().setY(this.position.y);
+        this.velocity.set(0, 0, 0);
+        this.isAiming = false;
+        this.isSprinting = false;
+        this.leanAmount = 0;
+        this.leanOffset.set(0, 0, 0);
+        this.startHideTransition(hidingSpot.eyePosition, hidingSpot.facing, 0, true);
+    }
+
+    leaveHidingSpot() {
+        const hidingSpot = this.hidingSpot.hidingSpot;
+
+        this.isHidden = false;
+        this.setHidingView(null);
+        this.playSound(hidingSpot.kind === 'locker' ? 'door_open' : 'footstep_concrete', { volume: 0.4 });
+        this.startHideTransition(this.hidingExit, this.yaw, this.pitch, false);
+    }
+
+    forceOutOfHiding() {
+        // Dragged out - unless already on the way
+        if (!this.hidingSpot || (this.hideTransition && !this.hideTransition.entering)) return;
+        this.leaveHidingSpot();
+    }
+
+    startHideTransition(to, yaw, pitch, entering) {
+        // Turn the short way round
+        const yawError = yaw - this.yaw;
+        this.hideTransition = {
+            from: this.position.clone(),
+            to: to.clone(),
+            fromYaw: this.yaw,
+            toYaw: this.yaw + Math.atan2(Math.sin(yawError), Math.cos(yawError)),
+            fromPitch: this.pitch,
+            toPitch: pitch,
+            timer: 0,
+            entering
+        };
+    }
+
+    updateHiding(deltaTime) {
+        const transition = this.hideTransition;
+
+        if (transition) {
+            transition.timer += deltaTime;
+            const t = Math.min(1, transition.timer / this.hiding.transitionDuration);
+            const eased = t * t * (3 - 2 * t);
+
+            this.position.lerpVectors(transition.from, transition.to, eased);
+            this.yaw = transition.fromYaw + (transition.toYaw - transition.fromYaw) * eased;
+            this.pitch = transition.fromPitch + (transition.toPitch - transition.fromPitch) * eased;
+            this.updateCameraRotation();
+
+            if (t >= 1) {
+                this.hideTransition = null;
+                if (transition.entering) {
+                    this.isHidden = true;
+                    this.setHidingView(this.hidingSpot.hidingSpot.kind);
+                } else {
+                    this.clearHiding();
+                }
+            }
+        }
+
+        // Climbing back out - not until all the way in
+        if (this.keys.interact) {
+            this.keys.interact = false;
+            if (!transition) {
+                this.leaveHidingSpot();
+            }
+        }
+
+        this.updateMadness(deltaTime);
+        this.updateBattery(deltaTime);
+        this.updateStamina(deltaTime);
+
+        this.camera.position.copy(this.position);
+    }
+
+    clampHidingView() {
+        const view = this.hidingSpot.hidingSpot.view;
+        const facing = this.hidingSpot.hidingSpot.facing;
+        const yawError = this.yaw - facing;
+        const offset = Math.atan2(Math.sin(yawError), Math.cos(yawError));
+
+        this.yaw = facing + Math.max(-view.yaw, Math.min(view.yaw, offset));
+        this.pitch = Math.max(-view.pitch, Math.min(view.pitch, this.pitch));
+    }
+
+    clearHiding() {
+        if (this.hidingSpot) {
+            this.hidingSpot.hidingSpot.occupant = null;
+        }
+        this.hidingSpot = null;
+        this.hidingExit = null;
+        this.hideTransition = null;
+        this.isHidden = false;
+        this.setHidingView(null);
+    }
+
+    handleThrowing(deltaTime) {
+        this.throwCooldown -= deltaTime;
+
+        if (this.keys.throw && this.throwCooldown <= 0) {
+            this.throwObject();
+            this.throwCooldown = 0.6;
+            this.keys.throw = false;
+        }
+    }
+
+    throwObject() {
+        if (!this.gameEngine || this.inventory.throwables.length === 0) return false;
+
+        const direction = new THREE.Vector3(0, 0, -1);
+        direction.applyEuler(this.camera.rotation);
+
+        // Release slightly in front of the camera so it doesn't clip the player
+        const origin = this.camera.position.clone().add(direction.clone().multiplyScalar(0.5));
+
+        const typeName = this.inventory.throwables.pop();
+        this.gameEngine.throwableManager.throwObject(typeName, origin, direction);
+        return true;
+    }
+
+    tryPickupThrowable() {
+        if (!this.gameEngine || this.inventory.throwables.length >= this.maxThrowables) return false;
+
+        const throwableManager = this.gameEngine.throwableManager;
+        const typeName = throwableManager.pickUp(this.position, this.interactionRange);
+        if (!typeName) return false;
+
+        this.inventory.throwables.push(typeName);
+        this.showNotification(`Picked up ${throwableManager.throwableTypes[typeName].name}`, 'info', 1500);
+        return true;
     }
 
     handleInteractions(deltaTime) {
@@ -466,6 +1254,12 @@ export class Player {
         direction.applyEuler(this.camera.rotation);
         raycaster.set(this.camera.position, direction);
 
+        // Loose throwables on the floor
+        if (this.tryPickupThrowable()) return;
+
+        // Lockers and desks
+        if (this.tryHide()) return;
+
         // Check for interactive objects within range
         // This would be handled by the world/interaction manager
     }
@@ -481,7 +1275,7 @@ export class Player {
         }
 
         // Darkness
-        if (!this.flashlightOn || this.flashlightBattery < 10) {
+        if (!this.isFlashlightActive() || this.flashlightBattery < 10) {
             madnessIncrease += 0.01;
         }
 
@@ -490,6 +1284,16 @@ export class Player {
             madnessIncrease += 0.005;
         }
 
+        // Shut away in the dark
+        if (this.hidingSpot) {
+            madnessIncrease += this.hiding.madnessRate;
+        }
+
+        // Flare light keeps the dread at bay
+        if (this.gameEngine) {
+            madnessIncrease *= this.gameEngine.flareManager.getMadnessMultiplier(this.position);
+        }
+
         // Apply changes
         this.madnessLevel += (madnessIncrease - this.madnessDecreaseRate) * deltaTime;
         this.madnessLevel = Math.max(0, Math.min(this.maxMadness, this.madnessLevel));
@@ -502,6 +1306,69 @@ export class Player {
         }
     }
 
+    drainBattery(amount) {
+        this.flashlightBattery = Math.max(0, this.flashlightBattery - amount);
+    }
+
+    addMadness(amount) {
+        this.madnessLevel = Math.min(this.maxMadness, this.madnessLevel + amount);
+    }
+
+    updateStamina(deltaTime) {
+        if (this.staminaRegenTimer > 0) {
+            this.staminaRegenTimer -= deltaTime;
+        } else {
+            this.stamina = Math.min(this.maxStamina, this.stamina + this.staminaRegenRate * deltaTime);
+        }
+
+        if (this.isExhausted && this.stamina >= this.sprintRecoveryStamina) {
+            this.isExhausted = false;
+        }
+
+        this.updateBreathing(deltaTime);
+    }
+
+    useStamina(amount) {
+        this.stamina = Math.max(0, this.stamina - amount);
+        this.staminaRegenTimer = this.staminaRegenDelay;
+
+        if (this.stamina <= 0) {
+            this.isExhausted = true;
+        }
+    }
+
+    getBreathlessness() {
+        // 0 with breath to spare, 1 when completely spent
+        if (this.isExhausted) return 1;
+        return THREE.MathUtils.clamp(1 - this.stamina / this.lowStamina, 0, 1);
+    }
+
+    updateBreathing(deltaTime) {
+        const breathlessness = this.getBreathlessness();
+
+        // The view rocks with each breath
+        this.breathingPhase += this.breathing.swaySpeed * deltaTime;
+        const sway = this.breathing.swayAmount * breathlessness;
+        this.breathingSway.pitch = Math.sin(this.breathingPhase) * sway;
+        this.breathingSway.yaw = Math.sin(this.breathingPhase * 0.5) * sway * 0.5;
+        this.updateCameraRotation();
+
+        if (breathlessness <= 0) {
+            this.breathTimer = 0;
+            return;
+        }
+
+        this.breathTimer -= deltaTime;
+        if (this.breathTimer > 0) return;
+        this.breathTimer = this.breathing.interval;
+
+        // Gasping for air gives us away to anything close by
+        if (this.gameEngine) {
+            this.gameEngine.enemyManager.registerSoundEvent(this.position, this.breathing.loudness * breathlessness, 'breathing');
+        }
+        this.playSound('breathing_heavy', { volume: this.breathing.volume * breathlessness });
+    }
+
     updatePhysics(deltaTime) {
         // Apply gravity
         if (!this.isGrounded) {
@@ -528,14 +1395,32 @@ export class Player {
     updateAudioFeedback(deltaTime) {
         // Footstep sounds
         if (this.isGrounded && this.direction.length() > 0) {
+            const footstep = this.getFootstep();
             this.lastFootstepTime += deltaTime;
-            if (this.lastFootstepTime >= this.footstepInterval) {
-                this.playFootstepSound();
+            if (this.lastFootstepTime >= footstep.interval) {
+                this.takeFootstep(footstep);
                 this.lastFootstepTime = 0;
             }
         }
     }
 
+    getFootstep() {
+        if (this.isCrouching) return this.footsteps.crouch;
+        if (this.isSprinting) return this.footsteps.sprint;
+        return this.footsteps.walk;
+    }
+
+    takeFootstep(footstep) {
+        const indoors = this.gameEngine && this.gameEngine.worldManager.getRoomAtPosition(this.position);
+        const loudness = footstep.loudness * (indoors ? 1 : this.snowFootstepMultiplier);
+
+        if (this.gameEngine) {
+            this.gameEngine.enemyManager.registerSoundEvent(this.position, loudness, 'footstep');
+        }
+
+        this.playFootstepSound(indoors ? 'footstep_concrete' : 'footstep_snow', Math.min(1, loudness + 0.2));
+    }
+
     clampToWorldBounds() {
         this.position.clamp(
             this.worldBounds.min,
@@ -573,6 +1458,14 @@ export class Player {
         return false;
     }
 
+    addAmmo(weaponId, amount) {
+        return this.weaponManager.addAmmo(weaponId, amount);
+    }
+
+    giveWeapon(weaponId) {
+        return this.weaponManager.giveWeapon(weaponId);
+    }
+
     removeItem(itemType, amount = 1) {
         if (this.inventory[itemType] !== undefined && this.inventory[itemType] >= amount) {
             this.inventory[itemType] -= amount;
@@ -587,9 +1480,13 @@ export class Player {
     getMaxHealth() { return this.maxHealth; }
     getBatteryLevel() { return this.flashlightBattery / this.maxBattery; }
     getMadnessLevel() { return this.madnessLevel; }
+    getStamina() { return this.stamina; }
+    getMaxStamina() { return this.maxStamina; }
     getAmmoCount() { return this.weapon.currentClip; }
     getMaxAmmo() { return this.weapon.maxAmmo; }
     getAmmoUsed() { return this.weapon.ammo; }
+    getCurrentWeapon() { return this.weapon; }
+    isSwitchingWeapon() { return this.weaponManager.isSwitching(); }
     isPlayerDead() { return this.isDead; }
 
     // Distance to signal source (placeholder)
@@ -603,7 +1500,30 @@ export class Player {
     playReloadSound() { console.log('🔊 Reloading...'); }
     playEmptyWeaponSound() { console.log('🔊 Click!'); }
     playDamageSound() { console.log('🔊 Ouch!'); }
-    playFootstepSound() { console.log('🔊 Step...'); }
+    playFootstepSound(sound, volume) { this.playSound(sound, { volume }); }
+
+    playJamSound() { this.playSound('metal_impact', { volume: 0.4 }); }
+    playClearJamSound() { this.playSound('reload', { volume: 0.6 }); }
+    playMeleeHitSound() { this.playSound('metal_impact', { volume: 0.3 }); }
+    playFlashlightFailSound() { this.playSound('static', { volume: 0.3 }); }
+
+    playSound(soundName, options = {}) {
+        if (this.gameEngine && this.gameEngine.audioManager) {
+            this.gameEngine.audioManager.playSound(soundName, options);
+        }
+    }
+
+    showNotification(message, type, duration) {
+        if (this.gameEngine && this.gameEngine.uiManager) {
+            this.gameEngine.uiManager.showNotification(message, type, duration);
+        }
+    }
+
+    setHidingView(kind) {
+        if (this.gameEngine && this.gameEngine.uiManager) {
+            this.gameEngine.uiManager.setHidingView(kind);
+        }
+    }
 
     // Visual effects (placeholders)
     createMuzzleFlash() { /* Would create particle effect */ }
@@ -612,22 +1532,30 @@ export class Player {
     // Save/Load
     getSaveData() {
         return {
-            position: this.position.toArray(),
+            position: (this.hidingExit || this.position).toArray(), // saved outside any hiding spot
             health: this.health,
             battery: this.flashlightBattery,
             madness: this.madnessLevel,
-            weapon: { ...this.weapon },
-            inventory: { ...this.inventory }
+            stamina: this.stamina,
+            weapons: this.weaponManager.getSaveData(),
+            inventory: { ...this.inventory, throwables: [...this.inventory.throwables] }
         };
     }
 
     loadSaveData(saveData) {
+        this.clearHiding();
         this.position.fromArray(saveData.position);
         this.health = saveData.health;
         this.flashlightBattery = saveData.battery;
         this.madnessLevel = saveData.madness;
-        this.weapon = { ...saveData.weapon };
+        this.stamina = saveData.stamina ?? this.maxStamina;
+        this.staminaRegenTimer = 0;
+        this.isExhausted = false;
+        if (saveData.weapons) {
+            this.weaponManager.loadSaveData(saveData.weapons);
+        }
         this.inventory = { ...saveData.inventory };
+        this.inventory.throwables = [...(saveData.inventory.throwables || [])];
     }
 
     reset() {
@@ -635,14 +1563,35 @@ export class Player {
         this.isDead = false;
         this.flashlightBattery = this.maxBattery;
         this.madnessLevel = 0.0;
-        this.weapon.currentClip = this.weapon.clipSize;
-        this.weapon.ammo = this.weapon.maxAmmo;
+        this.stamina = this.maxStamina;
+        this.staminaRegenTimer = 0;
+        this.isExhausted = false;
+        this.breathTimer = 0;
+        this.breathingPhase = 0;
+        this.breathingSway = { pitch: 0, yaw: 0 };
+        this.leanAmount = 0;
+        this.leanOffset.set(0, 0, 0);
+        this.lastMeleeTime = 0;
+        this.activeTakedown = null;
+        this.clearHiding();
+        this.weaponManager.reset();
+        this.triggerLocked = false;
+        this.isAiming = false;
+        this.aimAmount = 0;
+        this.spreadBloom = 0;
+        this.recoilOffset = { pitch: 0, yaw: 0 };
+        this.recoilShotIndex = 0;
+        this.camera.fov = this.baseFov;
+        this.camera.updateProjectionMatrix();
+        this.flashlightDropout = 0;
+        this.dropoutCheckTimer = 0;
         this.inventory = {
             ammo: 0,
             batteries: 0,
             healthKits: 0,
             keyCards: [],
-            documents: []
+            documents: [],
+            throwables: [] // carried throwable types, last picked up is thrown first
         };
         this.position.set(0, 2, 0);
         this.velocity.set(0, 0, 0);
@@ -0,0 +1,275 @@
+import * as THREE from 'three';
+
+export class RoomSearch {
+    constructor(enemyManager) {
+        this.enemyManager = enemyManager;
+
+        // Memory - how sure an enemy is of where the player went
+        this.uncertaintyGrowth = 1.5; // metres of doubt added per second since the player was placed
+        this.maxUncertainty = 15;
+        this.sightUncertainty = 0; // saw them with its own eyes
+        this.alertUncertainty = 4; // told over comms
+        this.hitUncertainty = 8; // worked out from where the hit came from
+        this.hitGuessDistance = 10; // assumed distance back along the hit to the shooter
+        this.loseSightDuration = 6; // seconds a chase goes on with no sight or sound of the player
+        this.memoryDuration = 30; // a last known position older than this isn't worth searching
+
+        // Search
+        this.roomSpread = 6; // each this many metres of uncertainty adds another room to search
+        this.maxRooms = 3;
+        this.maxPointDistance = 25; // never checks further than this from the last known position (matters outside)
+        this.maxSearchDuration = 90;
+        this.searchSpeedMultiplier = 0.7;
+        this.pointReachDistance = 1.2;
+        this.doorwayInset = 1.5; // how far into the room a doorway is checked from
+        this.waitTimes = {
+            guess: 3, // where it thinks the player went
+            doorway: 1.5,
+            hiding: 2.5
+        };
+        this.lookAroundAngle = 1.2; // radians either side of the facing while waiting
+        this.lookAroundSpeed = 2.5;
+        this.hidingSpotCheckChance = 0.5; // chance of opening up each hiding spot rather than just looking it over
+
+        // Heightened-alert patrol once the search is given up
+        this.alertPatrolDuration = 60; // seconds, against a normal patrol's 10
+        this.alertPatrolRadiusMultiplier = 1.5;
+        this.alertPatrolSpeed = 0.75; // fraction of full speed, against a normal patrol's half
+        this.alertAwarenessMultiplier = 1.5; // spots the player that much faster
+    }
+
+    // Memory
+    rememberPlayer(enemy, position, uncertainty = this.sightUncertainty) {
+        if (!enemy.lastKnownPosition) {
+            enemy.lastKnownPosition = new THREE.Vector3();
+        }
+        enemy.lastKnownPosition.copy(position);
+        enemy.lastKnownTime = performance.now() / 1000;
+        enemy.lastKnownUncertainty = uncertainty;
+    }
+
+    rememberHit(enemy, direction) {
+        // Shot from somewhere back along the line the hit came in on
+        const source = enemy.position.clone().sub(
+            direction.clone().setY(0).normalize().multiplyScalar(this.hitGuessDistance)
+        );
+        this.rememberPlayer(enemy, source, this.hitUncertainty);
+    }
+
+    getTimeSinceKnown(enemy) {
+        if (!enemy.lastKnownPosition) return Infinity;
+        return performance.now() / 1000 - enemy.lastKnownTime;
+    }
+
+    getUncertainty(enemy) {
+        const elapsed = Math.min(this.getTimeSinceKnown(enemy), this.memoryDuration);
+        return Math.min(this.maxUncertainty, enemy.lastKnownUncertainty + elapsed * this.uncertaintyGrowth);
+    }
+
+    hasLostPlayer(enemy) {
+        return this.getTimeSinceKnown(enemy) > this.loseSightDuration;
+    }
+
+    canSearch(enemy) {
+        return this.getTimeSinceKnown(enemy) < this.memoryDuration;
+    }
+
+    // Search
+    startSearch(enemy) {
+        if (!enemy.lastKnownPosition) {
+            // Nothing to go on - just stay on edge
+            this.startAlertPatrol(enemy);
+            return;
+        }
+
+        enemy.state = 'search';
+        enemy.stateTimer = 0;
+        enemy.search = {
+            points: this.planSearch(enemy),
+            index: 0,
+            waitTimer: 0,
+            facing: enemy.rotation.y
+        };
+        this.enemyManager.clearPath(enemy);
+    }
+
+    planSearch(enemy) {
+        const uncertainty = this.getUncertainty(enemy);
+        const origin = enemy.lastKnownPosition.clone().setY(enemy.position.y);
+        const points = [];
+
+        // Somewhere around where it thinks the player went - the less sure, the wider the guess
+        points.push({ kind: 'guess', position: this.getWalkablePoint(origin, uncertainty) || origin });
+
+        // Then that room and its neighbours, nearest first
+        const roomCount = Math.min(this.maxRooms, 1 + Math.floor(uncertainty / this.roomSpread));
+        this.getRoomsToSearch(origin, roomCount).forEach(area => {
+            const roomPoints = this.getRoomPoints(area, origin.y)
+                .filter(point => point.position.distanceTo(origin) <= this.maxPointDistance);
+            let from = points[points.length - 1].position;
+
+            // Walk the room nearest point first rather than criss-crossing it
+            while (roomPoints.length > 0) {
+                let nearest = 0;
+                roomPoints.forEach((point, index) => {
+                    if (point.position.distanceTo(from) < roomPoints[nearest].position.distanceTo(from)) {
+                        nearest = index;
+                    }
+                });
+                const [point] = roomPoints.splice(nearest, 1);
+                points.push(point);
+                from = point.position;
+            }
+        });
+
+        return points;
+    }
+
+    getRoomsToSearch(origin, roomCount) {
+        const worldManager = this.enemyManager.worldManager;
+        if (!worldManager) return [];
+
+        // Breadth-first out through the doors it could actually get through
+        const start = worldManager.getAreaName(origin);
+        const rooms = [start];
+        let frontier = [start];
+
+        while (rooms.length < roomCount && frontier.length > 0) {
+            const next = [];
+            frontier.forEach(area => {
+                worldManager.getDoors()
+                    .filter(door => !door.isLocked && door.connects.includes(area))
+                    .sort((a, b) => a.position.distanceTo(origin) - b.position.distanceTo(origin))
+                    .forEach(door => {
+                        const neighbour = door.connects[0] === area ? door.connects[1] : door.connects[0];
+                        if (!rooms.includes(neighbour) && !next.includes(neighbour)) {
+                            next.push(neighbour);
+                        }
+                    });
+            });
+
+            rooms.push(...next.slice(0, roomCount - rooms.length));
+            frontier = next;
+        }
+
+        return rooms;
+    }
+
+    getRoomPoints(area, y) {
+        const worldManager = this.enemyManager.worldManager;
+        const room = worldManager.getRooms().find(candidate => candidate.name === area);
+        const center = room ? room.bounds.getCenter(new THREE.Vector3()).setY(y) : null;
+        const points = [];
+
+        // Every doorway in or out - just inside, where someone could slip through
+        worldManager.getDoors().forEach(door => {
+            if (!door.connects.includes(area)) return;
+
+            const position = door.position.clone().setY(y);
+            if (center) {
+                const inward = center.clone().sub(position).setY(0);
+                if (inward.lengthSq() > 0) {
+                    position.add(inward.normalize().multiplyScalar(this.doorwayInset));
+                }
+            }
+            points.push({ kind: 'doorway', position: this.getWalkablePoint(position, 1) || position });
+        });
+
+        // Anywhere the player could be hiding
+        worldManager.getHidingSpots().forEach(spot => {
+            if (worldManager.getAreaName(spot.position.clone().setY(1)) !== area) return;
+
+            // From out front, where it can be opened up or looked under
+            const position = spot.hidingSpot.approach.clone().setY(y);
+            const checkFrom = this.getWalkablePoint(position, 1.5);
+            if (checkFrom) {
+                points.push({ kind: 'hiding', position: checkFrom, spot });
+            }
+        });
+
+        return points;
+    }
+
+    getWalkablePoint(position, radius) {
+        const nav = this.enemyManager.navigationManager;
+        if (!nav) return position.clone();
+        if (nav.isWalkable(position)) return position.clone();
+
+        return nav.getRandomWalkablePoint(position, Math.max(radius, 1));
+    }
+
+    updateSearch(enemy, deltaTime) {
+        const search = enemy.search;
+        if (!search || search.index >= search.points.length || enemy.stateTimer > this.maxSearchDuration) {
+            this.startAlertPatrol(enemy);
+            return;
+        }
+
+        const point = search.points[search.index];
+        if (this.enemyManager.getFlatDistance(enemy.position, point.position) > this.pointReachDistance) {
+            this.enemyManager.navigateTo(enemy, point.position, enemy.config.speed * this.searchSpeedMultiplier);
+            search.facing = enemy.rotation.y;
+            return;
+        }
+
+        // Stop and have a good look around before moving on
+        enemy.velocity.set(0, 0, 0);
+        if (search.waitTimer === 0 && point.spot) {
+            const toSpot = point.spot.position.clone().sub(enemy.position);
+            search.facing = Math.atan2(toSpot.x, toSpot.z);
+
+            if (Math.random() < this.hidingSpotCheckChance && this.enemyManager.checkHidingSpot(enemy, point.spot)) {
+                return;
+            }
+        }
+
+        search.waitTimer += deltaTime;
+        enemy.rotation.y = search.facing + Math.sin(search.waitTimer * this.lookAroundSpeed) * this.lookAroundAngle;
+
+        if (search.waitTimer >= this.waitTimes[point.kind]) {
+            search.index++;
+            search.waitTimer = 0;
+        }
+    }
+
+    // Heightened-alert patrol
+    startAlertPatrol(enemy) {
+        enemy.state = 'patrol';
+        enemy.stateTimer = 0;
+        enemy.search = null;
+        enemy.currentTarget = null;
+        enemy.alertPatrolTimer = this.alertPatrolDuration;
+        if (enemy.lastKnownPosition) {
+            enemy.alertPatrolCenter = enemy.lastKnownPosition.clone().setY(enemy.position.y);
+        }
+    }
+
+    isOnAlert(enemy) {
+        return enemy.alertPatrolTimer > 0;
+    }
+
+    getPatrolCenter(enemy) {
+        return this.isOnAlert(enemy) && enemy.alertPatrolCenter ? enemy.alertPatrolCenter : enemy.patrolCenter;
+    }
+
+    getPatrolRadius(enemy) {
+        return enemy.patrolRadius * (this.isOnAlert(enemy) ? this.alertPatrolRadiusMultiplier : 1);
+    }
+
+    getPatrolSpeed(enemy) {
+        return enemy.config.speed * (this.isOnAlert(enemy) ? this.alertPatrolSpeed : 0.5);
+    }
+
+    getAwarenessMultiplier(enemy) {
+        return this.isOnAlert(enemy) ? this.alertAwarenessMultiplier : 1;
+    }
+
+    forget(enemy) {
+        enemy.lastKnownPosition = null;
+        enemy.lastKnownTime = 0;
+        enemy.lastKnownUncertainty = 0;
+        enemy.search = null;
+        enemy.alertPatrolTimer = 0;
+        enemy.alertPatrolCenter = null;
+    }
+}
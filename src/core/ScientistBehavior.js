@@ -0,0 +1,46 @@
+export class ScientistBehavior {
+    constructor(enemyManager) {
+        this.enemyManager = enemyManager;
+
+        // Screaming
+        this.screamRange = 25; // how far the scream reaches other enemies
+        this.screamDuration = 1.2; // stands and screams before giving chase
+        this.screamCooldown = 15;
+    }
+
+    updateState(enemy, deltaTime, player) {
+        const data = enemy.behaviorData;
+        const now = performance.now() / 1000;
+
+        // Screams the moment it first spots the player
+        if (enemy.state === 'chase' && data.lastState !== 'chase' &&
+            now - (data.lastScreamTime ?? -Infinity) > this.screamCooldown) {
+            this.scream(enemy);
+        }
+
+        data.lastState = enemy.state;
+
+        if (data.screamTimer > 0) {
+            data.screamTimer -= deltaTime;
+        }
+    }
+
+    executeState(enemy, deltaTime, player) {
+        if (!(enemy.behaviorData.screamTimer > 0)) return false;
+
+        // Rooted to the spot while screaming
+        enemy.velocity.set(0, 0, 0);
+        const direction = player.position.clone().sub(enemy.position);
+        enemy.rotation.y = Math.atan2(direction.x, direction.z);
+        return true;
+    }
+
+    scream(enemy) {
+        const data = enemy.behaviorData;
+        data.lastScreamTime = performance.now() / 1000;
+        data.screamTimer = this.screamDuration;
+
+        enemy.playSound('alert');
+        this.enemyManager.alertNearbyEnemies(enemy.position, this.screamRange);
+    }
+}
@@ -0,0 +1,68 @@
+export class SignalEntityBehavior {
+    constructor(enemyManager) {
+        this.enemyManager = enemyManager;
+
+        // Flickering out of view
+        this.flickerInterval = [2, 6]; // seconds visible between flickers
+        this.flickerDuration = [0.2, 0.8]; // seconds gone
+
+        // Battery drain
+        this.drainRange = 10;
+        this.drainRate = 4; // battery per second at point blank
+    }
+
+    updateState(enemy, deltaTime, player) {
+        this.updateFlicker(enemy, deltaTime);
+        this.drainBattery(enemy, deltaTime, player);
+    }
+
+    executeState(enemy, deltaTime, player) {
+        // Goes straight for its target - walls don't stop it
+        switch (enemy.state) {
+            case 'chase':
+            case 'ambush':
+                this.enemyManager.moveTowards(enemy, player.position, enemy.config.speed);
+                return true;
+
+            case 'investigate':
+                if (enemy.investigationPoint) {
+                    this.enemyManager.moveTowards(enemy, enemy.investigationPoint, enemy.config.speed * 0.7);
+                    enemy.rotation.y += deltaTime * 2;
+                }
+                return true;
+        }
+
+        return false;
+    }
+
+    updateFlicker(enemy, deltaTime) {
+        const data = enemy.behaviorData;
+        if (data.flickerTimer === undefined) {
+            data.flickerTimer = this.randomBetween(this.flickerInterval);
+            data.isFlickering = false;
+        }
+
+        data.flickerTimer -= deltaTime;
+        if (data.flickerTimer <= 0) {
+            data.isFlickering = !data.isFlickering;
+            data.flickerTimer = this.randomBetween(data.isFlickering ? this.flickerDuration : this.flickerInterval);
+        }
+
+        enemy.mesh.visible = !data.isFlickering;
+        if (enemy.healthBar && data.isFlickering) {
+            enemy.healthBar.visible = false;
+        }
+    }
+
+    drainBattery(enemy, deltaTime, player) {
+        const distance = enemy.position.distanceTo(player.position);
+        if (distance >= this.drainRange) return;
+
+        const strength = 1 - distance / this.drainRange;
+        player.drainBattery(this.drainRate * strength * deltaTime);
+    }
+
+    randomBetween([min, max]) {
+        return min + Math.random() * (max - min);
+    }
+}
@@ -0,0 +1,245 @@
+import * as THREE from 'three';
+
+export class SoldierBehavior {
+    constructor(enemyManager) {
+        this.enemyManager = enemyManager;
+        this.scene = enemyManager.scene;
+        this.physicsManager = enemyManager.physicsManager;
+
+        // Ranged combat
+        this.preferredRange = 12; // tries to hold this distance
+        this.rangeTolerance = 3;
+        this.firingRange = 25;
+        this.fireInterval = 2.2; // seconds between shots
+        this.projectileSpeed = 16; // slow enough to dodge
+        this.projectileDamage = 12;
+        this.projectileLifetime = 3;
+        this.muzzleHeight = 0.5; // above the enemy's position
+        this.hitRadius = 0.8; // around the player's chest
+
+        // Cover
+        this.coverHealthFraction = 0.5; // looks for cover when hurt below this
+        this.shotsBeforeCover = 3;
+        this.coverDuration = 2.5; // seconds spent behind cover before peeking out
+        this.coverCooldown = 8;
+        this.coverSearchRadii = [4, 7];
+        this.coverSearchDirections = 12;
+
+        // Rounds in flight, keyed by projectile id
+        this.shots = new Map();
+
+        this.init();
+    }
+
+    init() {
+        if (!this.physicsManager) return;
+
+        this.physicsManager.on('projectileImpact', (impact) => {
+            if (impact.type === 'soldier_round') {
+                this.removeShot(impact.id);
+            }
+        });
+
+        this.physicsManager.on('projectileExpired', (projectile) => {
+            if (projectile.type === 'soldier_round') {
+                this.removeShot(projectile.id);
+            }
+        });
+    }
+
+    update(deltaTime, player) {
+        for (const [id, shot] of this.shots) {
+            // Rounds fly straight - keep gravity from pulling them down
+            shot.body.velocity.set(shot.velocity.x, shot.velocity.y, shot.velocity.z);
+
+            const chest = player.position.clone();
+            chest.y -= 0.6;
+            const position = new THREE.Vector3(shot.body.position.x, shot.body.position.y, shot.body.position.z);
+
+            if (position.distanceTo(chest) < this.hitRadius) {
+                player.takeDamage(shot.damage);
+                this.physicsManager.removeBody(id);
+                this.removeShot(id);
+            }
+        }
+    }
+
+    updateState(enemy, deltaTime, player) {
+        const data = enemy.behaviorData;
+        const now = performance.now() / 1000;
+
+        if (enemy.state === 'cover') {
+            if (data.coverReachedTime && now - data.coverReachedTime > this.coverDuration) {
+                // Peek back out
+                enemy.state = 'chase';
+                enemy.stateTimer = 0;
+                data.coverPoint = null;
+                data.coverReachedTime = 0;
+            }
+            return;
+        }
+
+        if (enemy.state !== 'chase') return;
+
+        const hurt = enemy.health < enemy.maxHealth * this.coverHealthFraction;
+        const wantsCover = (hurt && !data.hasTakenCover) || (data.shotsSinceCover || 0) >= this.shotsBeforeCover;
+        if (!wantsCover || now - (data.lastCoverTime ?? -Infinity) < this.coverCooldown) return;
+
+        const coverPoint = this.findCover(enemy, player);
+        if (coverPoint) {
+            enemy.state = 'cover';
+            enemy.stateTimer = 0;
+            data.coverPoint = coverPoint;
+            data.coverReachedTime = 0;
+            data.lastCoverTime = now;
+            data.shotsSinceCover = 0;
+            data.hasTakenCover = true;
+        }
+    }
+
+    executeState(enemy, deltaTime, player) {
+        switch (enemy.state) {
+            case 'chase':
+                return this.rangedBehavior(enemy, deltaTime, player);
+
+            case 'cover':
+                this.coverBehavior(enemy, deltaTime, player);
+                return true;
+        }
+
+        return false;
+    }
+
+    rangedBehavior(enemy, deltaTime, player) {
+        const distance = enemy.position.distanceTo(player.position);
+        if (distance > this.firingRange || !this.enemyManager.canEnemySeePlayer(enemy, player)) {
+            // Close in the usual way until there's a shot
+            return false;
+        }
+
+        // Hold the preferred range
+        const speed = enemy.config.speed * 0.6;
+        if (distance < this.preferredRange - this.rangeTolerance) {
+            const away = enemy.position.clone().sub(player.position).setY(0).normalize();
+            this.enemyManager.moveTowards(enemy, enemy.position.clone().add(away), speed);
+        } else if (distance > this.preferredRange + this.rangeTolerance) {
+            this.enemyManager.navigateTo(enemy, player.position, speed);
+        } else {
+            enemy.velocity.set(0, 0, 0);
+        }
+
+        // Always face the target while shooting
+        const direction = player.position.clone().sub(enemy.position);
+        enemy.rotation.y = Math.atan2(direction.x, direction.z);
+
+        const now = performance.now() / 1000;
+        if (now - (enemy.behaviorData.lastShotTime ?? -Infinity) > this.fireInterval) {
+            this.fireAt(enemy, player);
+        }
+
+        return true;
+    }
+
+    coverBehavior(enemy, deltaTime, player) {
+        const data = enemy.behaviorData;
+        if (!data.coverPoint) {
+            enemy.velocity.set(0, 0, 0);
+            return;
+        }
+
+        if (this.enemyManager.getFlatDistance(enemy.position, data.coverPoint) < 0.75) {
+            enemy.velocity.set(0, 0, 0);
+            if (!data.coverReachedTime) {
+                data.coverReachedTime = performance.now() / 1000;
+            }
+        } else {
+            this.enemyManager.navigateTo(enemy, data.coverPoint, enemy.config.speed);
+        }
+    }
+
+    findCover(enemy, player) {
+        // Nearest reachable spot the player has no line of sight to
+        const nav = this.enemyManager.navigationManager;
+        const eyeHeight = this.enemyManager.vision.eyeHeight;
+        let best = null;
+        let bestDistance = Infinity;
+
+        this.coverSearchRadii.forEach(radius => {
+            for (let i = 0; i < this.coverSearchDirections; i++) {
+                const angle = (i / this.coverSearchDirections) * Math.PI * 2;
+                const candidate = enemy.position.clone().add(
+                    new THREE.Vector3(Math.cos(angle) * radius, 0, Math.sin(angle) * radius)
+                );
+
+                if (nav && !nav.isWalkable(candidate)) continue;
+
+                const eye = candidate.clone().setY(candidate.y + eyeHeight);
+                if (this.enemyManager.hasLineOfSight(player.position, eye)) continue;
+
+                const distance = enemy.position.distanceTo(candidate);
+                if (distance < bestDistance) {
+                    best = candidate;
+                    bestDistance = distance;
+                }
+            }
+        });
+
+        return best;
+    }
+
+    fireAt(enemy, player) {
+        if (!this.physicsManager) return;
+
+        const data = enemy.behaviorData;
+        data.lastShotTime = performance.now() / 1000;
+        data.shotsSinceCover = (data.shotsSinceCover || 0) + 1;
+
+        // Start clear of the soldier's own body
+        const forward = new THREE.Vector3(Math.sin(enemy.rotation.y), 0, Math.cos(enemy.rotation.y));
+        const origin = enemy.position.clone().add(forward.multiplyScalar(0.8));
+        origin.y += this.muzzleHeight;
+
+        const target = player.position.clone();
+        target.y -= 0.6;
+        const direction = target.sub(origin).normalize();
+
+        const mesh = new THREE.Mesh(
+            new THREE.SphereGeometry(0.08, 8, 8),
+            new THREE.MeshBasicMaterial({ color: 0x66ffcc })
+        );
+        mesh.position.copy(origin);
+        this.scene.add(mesh);
+
+        const body = this.physicsManager.addProjectile(origin, direction, this.projectileSpeed, this.projectileDamage, {
+            type: 'soldier_round',
+            lifetime: this.projectileLifetime,
+            mesh,
+            collisionMask: this.physicsManager.WORLD_GROUP // the player is checked by distance
+        });
+
+        this.shots.set(body.userData.id, {
+            body,
+            mesh,
+            damage: this.projectileDamage,
+            velocity: direction.clone().multiplyScalar(this.projectileSpeed)
+        });
+
+        enemy.playSound('attack');
+        this.enemyManager.registerSoundEvent(origin, 1.0, 'gunshot');
+    }
+
+    removeShot(id) {
+        const shot = this.shots.get(id);
+        if (shot) {
+            this.scene.remove(shot.mesh);
+            this.shots.delete(id);
+        }
+    }
+
+    reset() {
+        for (const id of Array.from(this.shots.keys())) {
+            this.physicsManager.removeBody(id);
+            this.removeShot(id);
+        }
+    }
+}
@@ -0,0 +1,210 @@
+import * as THREE from 'three';
+
+export class SquadTactics {
+    constructor(enemyManager) {
+        this.enemyManager = enemyManager;
+
+        // Alert sharing
+        this.commsRange = 30; // how far an alert is passed on
+        this.commsDelay = 0.8; // seconds before anyone reacts
+        this.commsDelayPerUnit = 0.03; // extra delay with distance
+
+        // Roles
+        this.roleInterval = 1.0; // seconds between role reassignments
+        this.surroundRadius = 5; // flankers spread out around the player at this distance
+        this.ambushTriggerRange = 7; // an ambusher breaks cover when the player gets this close
+        this.joinableStates = ['idle', 'patrol', 'investigate', 'search', 'lure'];
+
+        this.pendingAlerts = [];
+        this.roles = new Map(); // enemy id -> { role, target, door }
+        this.lastStates = new Map(); // enemy id -> state last frame
+        this.roleTimer = 0;
+    }
+
+    update(deltaTime, player) {
+        this.shareAlerts(player);
+        this.deliverAlerts();
+
+        this.roleTimer -= deltaTime;
+        if (this.roleTimer <= 0) {
+            this.assignRoles(player);
+            this.roleTimer = this.roleInterval;
+        }
+    }
+
+    // Alert sharing
+    shareAlerts(player) {
+        this.enemyManager.activeEnemies.forEach(enemy => {
+            const lastState = this.lastStates.get(enemy.id);
+            this.lastStates.set(enemy.id, enemy.state);
+
+            // Whoever spots the player first calls it in
+            if (enemy.isAlive && enemy.state === 'chase' && lastState !== undefined && lastState !== 'chase') {
+                this.broadcastAlert(enemy, player.position);
+            }
+        });
+    }
+
+    broadcastAlert(source, position) {
+        const now = performance.now() / 1000;
+
+        this.enemyManager.activeEnemies.forEach(enemy => {
+            if (enemy === source || !enemy.isAlive) return;
+            if (!this.joinableStates.includes(enemy.state)) return;
+            if (this.pendingAlerts.some(alert => alert.enemy === enemy)) return;
+
+            const distance = enemy.position.distanceTo(source.position);
+            if (distance > this.commsRange) return;
+
+            this.pendingAlerts.push({
+                enemy,
+                position: position.clone(),
+                deliverAt: now + this.commsDelay + distance * this.commsDelayPerUnit
+            });
+        });
+    }
+
+    deliverAlerts() {
+        const now = performance.now() / 1000;
+
+        this.pendingAlerts = this.pendingAlerts.filter(alert => {
+            if (now < alert.deliverAt) return true;
+
+            const enemy = alert.enemy;
+            if (enemy.isAlive && enemy.isActive && this.joinableStates.includes(enemy.state)) {
+                enemy.state = 'chase';
+                enemy.stateTimer = 0;
+                enemy.investigationPoint = alert.position;
+                enemy.playSound('alert');
+
+                // Only as good as the caller's word
+                const roomSearch = this.enemyManager.roomSearch;
+                roomSearch.rememberPlayer(enemy, alert.position, roomSearch.alertUncertainty);
+
+                // Joined over comms - doesn't call it in again
+                this.lastStates.set(enemy.id, 'chase');
+            }
+            return false;
+        });
+    }
+
+    // Roles
+    assignRoles(player) {
+        this.roles.clear();
+
+        const squad = this.enemyManager.activeEnemies
+            .filter(enemy => enemy.isAlive && enemy.state === 'chase')
+            .sort((a, b) => a.position.distanceTo(player.position) - b.position.distanceTo(player.position));
+        if (squad.length === 0) return;
+
+        // Closest goes straight in
+        const pusher = squad[0];
+        this.roles.set(pusher.id, { role: 'pusher' });
+
+        const worldManager = this.enemyManager.worldManager;
+        const playerArea = worldManager ? worldManager.getAreaName(player.position) : null;
+        const areaDoors = worldManager
+            ? worldManager.getDoors().filter(door => door.connects.includes(playerArea))
+            : [];
+
+        const claimedDoors = new Set();
+        const pusherDoor = this.getEntryDoor(pusher, playerArea, areaDoors, claimedDoors);
+        if (pusherDoor) claimedDoors.add(pusherDoor);
+
+        const others = squad.slice(1);
+
+        // With enough bodies, the furthest one covers another way out
+        if (others.length >= 2) {
+            const exits = areaDoors.filter(door => !claimedDoors.has(door));
+            if (exits.length > 0) {
+                const ambusher = others.pop();
+                const door = exits.reduce((best, door) =>
+                    door.position.distanceTo(pusher.position) > best.position.distanceTo(pusher.position) ? door : best
+                );
+                claimedDoors.add(door);
+                this.roles.set(ambusher.id, {
+                    role: 'ambusher',
+                    target: door.position.clone().setY(ambusher.position.y),
+                    door
+                });
+            }
+        }
+
+        // Everyone else spreads out around the player instead of queueing behind the pusher
+        const baseAngle = Math.atan2(pusher.position.z - player.position.z, pusher.position.x - player.position.x);
+        others.forEach((flanker, index) => {
+            const angle = baseAngle + (index + 1) * (Math.PI * 2) / (others.length + 1);
+            const slot = this.getSurroundSlot(player.position, angle, flanker.position.y);
+            const door = this.getEntryDoor(flanker, playerArea, areaDoors, claimedDoors);
+            if (door) claimedDoors.add(door);
+
+            this.roles.set(flanker.id, { role: 'flanker', target: slot, door });
+        });
+    }
+
+    getEntryDoor(enemy, playerArea, areaDoors, claimedDoors) {
+        // Nearest free doorway into the player's area, if the enemy is outside it
+        const worldManager = this.enemyManager.worldManager;
+        if (!worldManager || worldManager.getAreaName(enemy.position) === playerArea) return null;
+
+        let best = null;
+        areaDoors.forEach(door => {
+            if (claimedDoors.has(door)) return;
+            if (!best || door.position.distanceTo(enemy.position) < best.position.distanceTo(enemy.position)) {
+                best = door;
+            }
+        });
+        return best;
+    }
+
+    getSurroundSlot(center, angle, y) {
+        const slot = new THREE.Vector3(
+            center.x + Math.cos(angle) * this.surroundRadius,
+            y,
+            center.z + Math.sin(angle) * this.surroundRadius
+        );
+
+        const nav = this.enemyManager.navigationManager;
+        if (nav && !nav.isWalkable(slot)) {
+            return nav.getRandomWalkablePoint(slot, 2) || center.clone().setY(y);
+        }
+        return slot;
+    }
+
+    getChaseTarget(enemy, player) {
+        // Where a chasing enemy should head - null means hold position
+        const role = this.roles.get(enemy.id);
+        if (!role || role.role === 'pusher') return player.position;
+
+        const distanceToPlayer = enemy.position.distanceTo(player.position);
+
+        if (role.role === 'ambusher') {
+            if (distanceToPlayer < this.ambushTriggerRange) {
+                role.role = 'pusher';
+                return player.position;
+            }
+            return this.enemyManager.getFlatDistance(enemy.position, role.target) < 1 ? null : role.target;
+        }
+
+        // Flanker - come in through its own door, then take its slot and close in
+        const worldManager = this.enemyManager.worldManager;
+        if (role.door && worldManager &&
+            worldManager.getAreaName(enemy.position) !== worldManager.getAreaName(player.position)) {
+            return role.door.position.clone().setY(enemy.position.y);
+        }
+        if (distanceToPlayer < this.surroundRadius + 1) return player.position;
+        return role.target;
+    }
+
+    getRole(enemy) {
+        const role = this.roles.get(enemy.id);
+        return role ? role.role : null;
+    }
+
+    reset() {
+        this.pendingAlerts = [];
+        this.roles.clear();
+        this.lastStates.clear();
+        this.roleTimer = 0;
+    }
+}
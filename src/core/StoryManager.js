@@ -23,6 +23,9 @@ export class StoryManager {
             communicationsTowerVisited: false,
             signalSourceLocated: false,
             transmitterFound: false,
+            survivorEncountered: false,
+            survivorSpared: false,
+            survivorKilled: false,
             finalChoiceMade: false
         };
 
@@ -374,6 +377,42 @@ export class StoryManager {
         }
     }
 
+    handleSurvivorEvent(type) {
+        switch (type) {
+            case 'encountered':
+                if (!this.flags.survivorEncountered) {
+                    this.flags.survivorEncountered = true;
+                    this.triggerCutscene('survivor_encounter', {
+                        text: "A figure in a torn parka stands between you and the transmitter, rifle raised. \"Stay back! I won't let it take anyone else - not you, not me, not anyone!\" Their eyes are bloodshot, but they're still human. For now.",
+                        image: null,
+                        audio: 'survivor_encounter'
+                    });
+                }
+                break;
+
+            case 'spared':
+                this.flags.survivorSpared = true;
+                this.triggerCutscene('survivor_spared', {
+                    text: "The survivor drops to their knees. \"I wasn't guarding it... I was trying to destroy it. The charges are already wired to the reactor - I just couldn't get close enough with it screaming in my head.\" They press a detonator into your hand.",
+                    image: null,
+                    audio: 'survivor_dialogue'
+                });
+                break;
+
+            case 'killed':
+                this.flags.survivorSpared = false;
+                this.flags.survivorKilled = true;
+                this.triggerCutscene('survivor_killed', {
+                    text: "The survivor falls silent. In their pack you find a half-finished wiring diagram for the reactor and a note: 'If anyone finds this - I tried to shut it down. Don't trust the voices.' They were never your enemy.",
+                    image: null,
+                    audio: 'survivor_death'
+                });
+                break;
+        }
+
+        this.checkStoryProgress();
+    }
+
     handleDoorUnlocked(door) {
         this.gameEngine.uiManager.showNotification(`Unlocked ${door.name}`, 'success');
     }
@@ -585,6 +624,24 @@ export class StoryManager {
             };
         }
 
+        // The survivor's fate decides how the transmitter is dealt with
+        if (this.flags.survivorSpared) {
+            // They finish what they started, with your help
+            return {
+                type: 'sacrifice',
+                ...this.storyData.endings.sacrifice
+            };
+        }
+
+        if (this.flags.survivorKilled) {
+            // No one left who knows how to destroy it
+            const ending = this.player.getMadnessLevel() >= 0.7 ? 'join' : 'escape';
+            return {
+                type: ending,
+                ...this.storyData.endings[ending]
+            };
+        }
+
         // Check other endings based on final choice
         // This would be determined by player's final interaction with transmitter
         const endings = ['sacrifice', 'escape', 'join'];
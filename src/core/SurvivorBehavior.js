@@ -0,0 +1,134 @@
+export class SurvivorBehavior {
+    constructor(enemyManager) {
+        this.enemyManager = enemyManager;
+
+        // Phases, by the health fraction they start below
+        this.phases = [
+            { name: 'ranged', maxHealth: 1.0 },
+            { name: 'melee', maxHealth: 0.66 },
+            { name: 'empowered', maxHealth: 0.33 }
+        ];
+        this.phaseTransitionDuration = 1.5; // seconds spent reeling before the next phase starts
+
+        // Melee phase
+        this.meleeSpeedMultiplier = 1.4;
+
+        // Signal-empowered phase
+        this.empoweredSpeedMultiplier = 1.8;
+        this.empoweredDamageMultiplier = 1.5;
+        this.madnessAuraRange = 12;
+        this.madnessAuraRate = 0.03; // madness per second at point blank
+
+        // Gives up rather than fighting to the death
+        this.surrenderHealthFraction = 0.12;
+    }
+
+    updateState(enemy, deltaTime, player) {
+        const data = enemy.behaviorData;
+        if (enemy.state === 'surrender') return;
+
+        const healthFraction = enemy.health / enemy.maxHealth;
+        if (healthFraction <= this.surrenderHealthFraction) {
+            this.surrender(enemy);
+            return;
+        }
+
+        // Never loses track of the player in its own arena
+        if (enemy.state !== 'attack' && enemy.state !== 'stagger') {
+            enemy.state = 'chase';
+        }
+
+        // Knows every hiding place in here - walks straight to whichever one the player is in
+        if (player.isHidden) {
+            enemy.witnessedHidingSpot = player.hidingSpot;
+        }
+
+        const phase = this.getPhase(healthFraction);
+        if (phase !== data.phase) {
+            if (data.phase) {
+                data.transitionTimer = this.phaseTransitionDuration;
+                enemy.playSound('alert');
+                this.enemyManager.registerSoundEvent(enemy.position, 1.0, 'scream');
+            }
+            data.phase = phase;
+            data.damageMultiplier = phase === 'empowered' ? this.empoweredDamageMultiplier : 1;
+        }
+
+        if (data.transitionTimer > 0) {
+            data.transitionTimer -= deltaTime;
+        }
+
+        if (phase === 'empowered') {
+            // The signal takes over - it flickers and feeds like an entity
+            const entity = this.enemyManager.behaviors.entity;
+            entity.updateFlicker(enemy, deltaTime);
+            entity.drainBattery(enemy, deltaTime, player);
+            this.applyMadnessAura(enemy, deltaTime, player);
+        }
+    }
+
+    executeState(enemy, deltaTime, player) {
+        const data = enemy.behaviorData;
+
+        if (enemy.state === 'surrender' || data.transitionTimer > 0) {
+            enemy.velocity.set(0, 0, 0);
+            const direction = player.position.clone().sub(enemy.position);
+            enemy.rotation.y = Math.atan2(direction.x, direction.z);
+            return true;
+        }
+
+        if (enemy.state !== 'chase') return false;
+
+        switch (data.phase) {
+            case 'ranged':
+                // Fights like a soldier - keeps its distance and shoots
+                return this.enemyManager.behaviors.soldier.rangedBehavior(enemy, deltaTime, player);
+
+            case 'melee':
+                this.enemyManager.navigateTo(enemy, player.position, enemy.config.speed * this.meleeSpeedMultiplier);
+                return true;
+
+            case 'empowered':
+                this.enemyManager.navigateTo(enemy, player.position, enemy.config.speed * this.empoweredSpeedMultiplier);
+                return true;
+        }
+
+        return false;
+    }
+
+    getPhase(healthFraction) {
+        let phase = this.phases[0].name;
+        this.phases.forEach(candidate => {
+            if (healthFraction <= candidate.maxHealth) {
+                phase = candidate.name;
+            }
+        });
+        return phase;
+    }
+
+    applyMadnessAura(enemy, deltaTime, player) {
+        const distance = enemy.position.distanceTo(player.position);
+        if (distance >= this.madnessAuraRange) return;
+
+        const strength = 1 - distance / this.madnessAuraRange;
+        player.addMadness(this.madnessAuraRate * strength * deltaTime);
+    }
+
+    surrender(enemy) {
+        const data = enemy.behaviorData;
+
+        enemy.state = 'surrender';
+        enemy.stateTimer = 0;
+        enemy.velocity.set(0, 0, 0);
+        data.transitionTimer = 0;
+        data.damageMultiplier = 1;
+
+        // Whatever the signal was doing to it lets go
+        data.isFlickering = false;
+        enemy.mesh.visible = true;
+    }
+
+    isSurrendered(enemy) {
+        return enemy.state === 'surrender';
+    }
+}
@@ -0,0 +1,267 @@
+import * as THREE from 'three';
+
+export class ThrowableManager {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.scene = gameEngine.scene;
+        this.physicsManager = gameEngine.physicsManager;
+        this.enemyManager = gameEngine.enemyManager;
+        this.worldManager = gameEngine.worldManager;
+
+        // Throwable types
+        this.throwableTypes = {
+            rock: {
+                name: 'Rock',
+                shape: 'sphere',
+                size: 0.1,
+                mass: 0.5,
+                color: 0x555555,
+                loudness: 1.0
+            },
+            wrench: {
+                name: 'Wrench',
+                shape: 'box',
+                size: [0.3, 0.04, 0.08],
+                mass: 0.8,
+                color: 0x888899,
+                loudness: 1.3,
+                impactSound: 'metal_impact' // always clangs, whatever it hits
+            },
+            bottle: {
+                name: 'Bottle',
+                shape: 'cylinder',
+                size: [0.04, 0.25],
+                mass: 0.4,
+                color: 0x336633,
+                loudness: 1.0,
+                breakSpeed: 4, // shatters on the first impact faster than this
+                breakSound: 'glass_break',
+                breakLoudness: 1.8
+            }
+        };
+
+        // Surfaces - how much an impact carries and what it sounds like
+        this.surfaces = {
+            concrete: { loudness: 1.0, sound: 'footstep_concrete' },
+            metal: { loudness: 1.5, sound: 'metal_impact' },
+            snow: { loudness: 0.3, sound: 'footstep_snow' },
+            flesh: { loudness: 0.4, sound: null }
+        };
+
+        // Throwables lying around the facility at the start
+        this.placements = [
+            { type: 'rock', position: [4, 0.2, -4] },
+            { type: 'bottle', position: [-6, 0.2, 6] },
+            { type: 'wrench', position: [2, 0.2, -38] },
+            { type: 'bottle', position: [-38, 0.2, 3] },
+            { type: 'rock', position: [3, 0.2, 38] },
+            { type: 'wrench', position: [38, 0.2, -3] }
+        ];
+
+        // Throwing and impacts
+        this.throwSpeed = 14;
+        this.throwArc = 3; // extra upward velocity
+        this.referenceImpactSpeed = 10; // impact speed that produces the base loudness
+        this.minImpactSpeed = 1.5;
+        this.impactCooldown = 0.2; // seconds between sound events from one object
+        this.restingSpeed = 0.5;
+        this.maxThrowables = 30;
+
+        this.throwables = new Map();
+        this.pendingImpacts = [];
+        this.nextThrowableId = 0;
+
+        this.init();
+    }
+
+    init() {
+        console.log('🪨 Initializing Throwable Manager...');
+
+        // Physics reports impacts during the step - queue them for update()
+        this.physicsManager.on('throwableImpact', (impact) => {
+            this.pendingImpacts.push(impact);
+        });
+
+        console.log('✅ Throwable Manager initialized');
+    }
+
+    createThrowableMesh(type) {
+        let geometry;
+
+        switch (type.shape) {
+            case 'sphere':
+                geometry = new THREE.DodecahedronGeometry(type.size);
+                break;
+            case 'box':
+                geometry = new THREE.BoxGeometry(...type.size);
+                break;
+            case 'cylinder':
+                geometry = new THREE.CylinderGeometry(type.size[0], type.size[0], type.size[1], 8);
+                break;
+        }
+
+        const material = new THREE.MeshLambertMaterial({ color: type.color });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.castShadow = true;
+
+        return mesh;
+    }
+
+    spawnThrowable(typeName, position, velocity = new THREE.Vector3()) {
+        const type = this.throwableTypes[typeName];
+        if (!type) return null;
+
+        // Oldest throwables are cleaned up first
+        if (this.throwables.size >= this.maxThrowables) {
+            this.removeThrowable(this.throwables.keys().next().value);
+        }
+
+        // Make sure walls and furniture exist in the physics world
+        this.physicsManager.syncWorldColliders(this.worldManager.getCollisionMeshes());
+
+        const id = `throwable_${this.nextThrowableId++}`;
+        const mesh = this.createThrowableMesh(type);
+        mesh.position.copy(position);
+        this.scene.add(mesh);
+
+        const body = this.physicsManager.addThrowableBody(id, mesh, type, position, velocity);
+
+        const throwable = {
+            id,
+            typeName,
+            type,
+            mesh,
+            body,
+            lastImpactTime: 0
+        };
+
+        this.throwables.set(id, throwable);
+        return throwable;
+    }
+
+    throwObject(typeName, origin, direction) {
+        const velocity = direction.clone().normalize().multiplyScalar(this.throwSpeed);
+        velocity.y += this.throwArc;
+
+        return this.spawnThrowable(typeName, origin, velocity);
+    }
+
+    removeThrowable(id) {
+        const throwable = this.throwables.get(id);
+        if (!throwable) return;
+
+        this.physicsManager.removeBody(id);
+        this.scene.remove(throwable.mesh);
+        this.throwables.delete(id);
+    }
+
+    // Pickup
+    isResting(throwable) {
+        return throwable.body.velocity.length() < this.restingSpeed;
+    }
+
+    getNearestPickup(position, range) {
+        let nearest = null;
+        let nearestDistance = range;
+
+        for (const throwable of this.throwables.values()) {
+            if (!this.isResting(throwable)) continue;
+
+            const distance = throwable.mesh.position.distanceTo(position);
+            if (distance < nearestDistance) {
+                nearest = throwable;
+                nearestDistance = distance;
+            }
+        }
+
+        return nearest;
+    }
+
+    pickUp(position, range) {
+        const throwable = this.getNearestPickup(position, range);
+        if (!throwable) return null;
+
+        this.removeThrowable(throwable.id);
+        return throwable.typeName;
+    }
+
+    update(deltaTime) {
+        const impacts = this.pendingImpacts;
+        this.pendingImpacts = [];
+
+        impacts.forEach(impact => this.handleImpact(impact));
+    }
+
+    handleImpact(impact) {
+        const throwable = this.throwables.get(impact.id);
+        if (!throwable || impact.speed < this.minImpactSpeed) return;
+
+        const now = performance.now() / 1000;
+        if (now - throwable.lastImpactTime < this.impactCooldown) return;
+        throwable.lastImpactTime = now;
+
+        const position = new THREE.Vector3(impact.position.x, impact.position.y, impact.position.z);
+        const surfaceName = this.getSurfaceAt(position, impact.surface);
+        const surface = this.surfaces[surfaceName] || this.surfaces.concrete;
+        const type = throwable.type;
+
+        // Louder the faster it hits
+        const speedFactor = THREE.MathUtils.clamp(impact.speed / this.referenceImpactSpeed, 0.2, 1.5);
+        let loudness = surface.loudness * type.loudness * speedFactor;
+        let sound = type.impactSound || surface.sound;
+
+        const shatters = type.breakSpeed !== undefined && impact.speed >= type.breakSpeed;
+        if (shatters) {
+            loudness = Math.max(loudness, type.breakLoudness * speedFactor);
+            sound = type.breakSound;
+        }
+
+        // Enemies go and look where it landed, not where it came from
+        this.enemyManager.registerSoundEvent(position, loudness, 'impact');
+
+        if (sound) {
+            this.gameEngine.audioManager.playSound(sound, {
+                volume: Math.min(1, loudness),
+                position
+            });
+        }
+
+        if (shatters) {
+            this.removeThrowable(throwable.id);
+        }
+    }
+
+    getSurfaceAt(position, surface) {
+        // The ground plane spans the whole map - outside the rooms it's snow
+        if (surface === 'ground') {
+            return this.worldManager.getRoomAtPosition(position) ? 'concrete' : 'snow';
+        }
+        return surface;
+    }
+
+    // Debug methods
+    getDebugInfo() {
+        return {
+            throwables: this.throwables.size,
+            resting: Array.from(this.throwables.values()).filter(t => this.isResting(t)).length
+        };
+    }
+
+    reset() {
+        for (const id of Array.from(this.throwables.keys())) {
+            this.removeThrowable(id);
+        }
+        this.pendingImpacts = [];
+
+        this.placements.forEach(placement => {
+            this.spawnThrowable(placement.type, new THREE.Vector3(...placement.position));
+        });
+    }
+
+    cleanup() {
+        for (const id of Array.from(this.throwables.keys())) {
+            this.removeThrowable(id);
+        }
+        this.pendingImpacts = [];
+    }
+}
@@ -0,0 +1,298 @@
+export class WeaponManager {
+    constructor() {
+        // Weapon definitions
+        this.weaponTypes = {
+            pistol: {
+                name: 'Pistol',
+                model: 'pistol',
+                fireMode: 'semi', // semi: one shot per trigger pull, auto: fires while held
+                damage: 25, // per pellet
+                pellets: 1,
+                spread: 0.02,
+                range: 100,
+                fireRate: 0.3, // seconds between shots
+                recoil: 0.05,
+                recoilPattern: [[1, 0], [1, 0.15], [1, -0.15]], // [pitch, yaw] kick per shot, scaled by recoil
+                recoilRecovery: 0.25, // radians per second
+                bloomPerShot: 0.015, // extra spread per shot in quick succession
+                maxBloom: 0.06,
+                bloomRecovery: 0.12, // per second
+                adsZoom: 1.3,
+                clipSize: 10,
+                maxAmmo: 30,
+                reloadTime: 2.0,
+                drawTime: 0.4,
+                holsterTime: 0.3,
+                noiseRadius: 40, // how far enemies can hear the shot
+                projectile: null // hitscan unless set
+            },
+            rifle: {
+                name: 'Rifle',
+                model: 'rifle',
+                fireMode: 'auto',
+                damage: 20,
+                pellets: 1,
+                spread: 0.035,
+                range: 150,
+                fireRate: 0.1,
+                recoil: 0.03,
+                recoilPattern: [[1, 0], [1, 0.1], [1.1, 0.2], [1.1, -0.1], [1.2, -0.3], [1.2, 0.3]],
+                recoilRecovery: 0.3,
+                bloomPerShot: 0.008,
+                maxBloom: 0.08,
+                bloomRecovery: 0.1,
+                adsZoom: 1.6,
+                clipSize: 30,
+                maxAmmo: 90,
+                reloadTime: 2.6,
+                drawTime: 0.7,
+                holsterTime: 0.5,
+                noiseRadius: 60,
+                projectile: null
+            },
+            shotgun: {
+                name: 'Shotgun',
+                model: 'shotgun',
+                fireMode: 'semi',
+                damage: 12,
+                pellets: 8,
+                spread: 0.12,
+                range: 40,
+                fireRate: 0.9,
+                recoil: 0.12,
+                recoilPattern: [[1, 0]],
+                recoilRecovery: 0.4,
+                bloomPerShot: 0.03,
+                maxBloom: 0.06,
+                bloomRecovery: 0.08,
+                adsZoom: 1.15,
+                clipSize: 6,
+                maxAmmo: 24,
+                reloadTime: 3.2,
+                drawTime: 0.8,
+                holsterTime: 0.6,
+                noiseRadius: 70,
+                projectile: null
+            },
+            flare_gun: {
+                name: 'Flare Gun',
+                model: 'pistol',
+                fireMode: 'semi',
+                damage: 10,
+                pellets: 1,
+                spread: 0.01,
+                range: 60,
+                fireRate: 1.0,
+                recoil: 0.08,
+                recoilPattern: [[1, 0.1]],
+                recoilRecovery: 0.3,
+                bloomPerShot: 0.02,
+                maxBloom: 0.04,
+                bloomRecovery: 0.1,
+                adsZoom: 1.2,
+                clipSize: 1,
+                maxAmmo: 3,
+                reloadTime: 1.5,
+                drawTime: 0.5,
+                holsterTime: 0.4,
+                noiseRadius: 20,
+                projectile: 'flare',
+                projectileSpeed: 35
+            }
+        };
+
+        // Starting loadout
+        this.startingWeapons = ['pistol', 'flare_gun'];
+
+        // Owned weapons, in switching order
+        this.inventory = [];
+        this.weapons = new Map();
+        this.currentWeaponId = null;
+
+        // Draw/holster state
+        this.switchState = null;
+
+        this.init();
+    }
+
+    init() {
+        console.log('🔫 Initializing Weapon Manager...');
+
+        this.reset();
+
+        console.log('✅ Weapon Manager initialized');
+    }
+
+    createWeaponState(weaponId) {
+        const type = this.weaponTypes[weaponId];
+        if (!type) return null;
+
+        return {
+            ...type,
+            id: weaponId,
+            currentClip: type.clipSize,
+            ammo: type.maxAmmo,
+            lastFired: 0,
+            isReloading: false,
+            reloadStartTime: 0,
+            isJammed: false,
+            isClearingJam: false,
+            clearJamStartTime: 0
+        };
+    }
+
+    // Inventory
+    giveWeapon(weaponId) {
+        if (this.hasWeapon(weaponId)) {
+            // Picking up a duplicate just tops up the ammo pool
+            return this.addAmmo(weaponId, this.weaponTypes[weaponId].clipSize) > 0;
+        }
+
+        const weapon = this.createWeaponState(weaponId);
+        if (!weapon) return false;
+
+        this.inventory.push(weaponId);
+        this.weapons.set(weaponId, weapon);
+
+        if (!this.currentWeaponId) {
+            this.currentWeaponId = weaponId;
+        }
+
+        console.log(`🔫 Acquired ${weapon.name}`);
+        return true;
+    }
+
+    hasWeapon(weaponId) {
+        return this.weapons.has(weaponId);
+    }
+
+    getCurrentWeapon() {
+        return this.weapons.get(this.currentWeaponId) || null;
+    }
+
+    getWeapon(weaponId) {
+        return this.weapons.get(weaponId) || null;
+    }
+
+    addAmmo(weaponId, amount) {
+        const weapon = this.weapons.get(weaponId);
+        if (!weapon) return 0;
+
+        const added = Math.min(amount, weapon.maxAmmo - weapon.ammo);
+        weapon.ammo += added;
+        return added;
+    }
+
+    // Switching
+    switchToWeapon(weaponId) {
+        if (!this.hasWeapon(weaponId) || this.switchState) return false;
+        if (weaponId === this.currentWeaponId) return false;
+
+        // Holstering interrupts a reload or jam clearing in progress
+        const current = this.getCurrentWeapon();
+        if (current) {
+            current.isReloading = false;
+            current.isClearingJam = false;
+        }
+
+        this.switchState = {
+            phase: 'holster',
+            targetId: weaponId,
+            timer: current ? current.holsterTime : 0
+        };
+
+        return true;
+    }
+
+    cycleWeapon(direction = 1) {
+        if (this.inventory.length < 2) return false;
+
+        const index = this.inventory.indexOf(this.currentWeaponId);
+        const nextIndex = (index + direction + this.inventory.length) % this.inventory.length;
+        return this.switchToWeapon(this.inventory[nextIndex]);
+    }
+
+    isSwitching() {
+        return this.switchState !== null;
+    }
+
+    update(deltaTime) {
+        if (!this.switchState) return;
+
+        this.switchState.timer -= deltaTime;
+        if (this.switchState.timer > 0) return;
+
+        if (this.switchState.phase === 'holster') {
+            // Weapon is away - bring out the new one
+            this.currentWeaponId = this.switchState.targetId;
+            this.switchState.phase = 'draw';
+            this.switchState.timer = this.getCurrentWeapon().drawTime;
+        } else {
+            this.switchState = null;
+        }
+    }
+
+    // State
+    getAmmoState() {
+        const ammoState = {};
+        for (const [weaponId, weapon] of this.weapons) {
+            ammoState[weaponId] = {
+                clip: weapon.currentClip,
+                ammo: weapon.ammo
+            };
+        }
+        return ammoState;
+    }
+
+    getSaveData() {
+        return {
+            inventory: [...this.inventory],
+            currentWeaponId: this.currentWeaponId,
+            ammo: this.getAmmoState()
+        };
+    }
+
+    loadSaveData(saveData) {
+        this.inventory = [];
+        this.weapons.clear();
+        this.currentWeaponId = null;
+        this.switchState = null;
+
+        saveData.inventory.forEach(weaponId => this.giveWeapon(weaponId));
+
+        Object.entries(saveData.ammo || {}).forEach(([weaponId, ammoData]) => {
+            const weapon = this.weapons.get(weaponId);
+            if (weapon) {
+                weapon.currentClip = ammoData.clip;
+                weapon.ammo = ammoData.ammo;
+            }
+        });
+
+        if (this.hasWeapon(saveData.currentWeaponId)) {
+            this.currentWeaponId = saveData.currentWeaponId;
+        }
+    }
+
+    reset() {
+        this.inventory = [];
+        this.weapons.clear();
+        this.currentWeaponId = null;
+        this.switchState = null;
+
+        this.startingWeapons.forEach(weaponId => this.giveWeapon(weaponId));
+    }
+
+    // Debug methods
+    getDebugInfo() {
+        return {
+            currentWeapon: this.currentWeaponId,
+            inventory: this.inventory,
+            switching: this.switchState ? this.switchState.phase : null,
+            ammo: this.getAmmoState()
+        };
+    }
+
+    giveAllWeapons() {
+        Object.keys(this.weaponTypes).forEach(weaponId => this.giveWeapon(weaponId));
+    }
+}
@@ -11,13 +11,25 @@ export class WorldManager {
         this.doors = [];
         this.interactiveObjects = [];
         this.lights = [];
+        this.patrolRoutes = [];
         this.areasExplored = 0;
 
+        // Debug
+        this.patrolRouteDebug = null; // scene group drawing the patrol routes
+        this.showingPatrolRoutes = false;
+
         // Environment settings
         this.roomSize = 20;
         this.corridorWidth = 4;
         this.wallHeight = 3;
         this.floorThickness = 0.2;
+        this.doorwayDepth = 2.5; // walls this far either side of a door are cut through too - corridors run alongside the rooms
+
+        // Furniture big enough to hide in - eye height inside, where it's climbed into from and how far you can look out
+        this.hidingSpotTypes = {
+            locker: { eyeHeight: 1.6, approachDistance: 1.5, view: { yaw: 0.5, pitch: 0.25 } },
+            desk: { eyeHeight: 0.5, approachDistance: 1.5, view: { yaw: 0.9, pitch: 0.15 } }
+        };
 
         // Materials
         this.materials = {
@@ -150,6 +162,8 @@ export class WorldManager {
         // Add lighting
         this.setupFacilityLighting();
 
+        this.emit('facility_generated');
+
         console.log('✅ Facility generated');
     }
 
@@ -177,6 +191,9 @@ export class WorldManager {
 
         // Add doors between rooms
         this.addDoors();
+
+        // Add enemy patrol routes through the rooms
+        this.addPatrolRoutes();
     }
 
     createRoom(x, z, width, depth, name, y = 0) {
@@ -208,7 +225,7 @@ export class WorldManager {
         room.objects.push(ceiling);
 
         // Create walls
-        this.createWalls(x, z, width, depth, y);
+        room.objects.push(...this.createWalls(x, z, width, depth, y));
 
         this.rooms.push(room);
         return room;
@@ -226,6 +243,7 @@ export class WorldManager {
         northWall.position.set(centerX, y + wallHeight/2, centerZ - depth/2 - wallThickness/2);
         northWall.castShadow = true;
         northWall.receiveShadow = true;
+        northWall.userData.isWall = true;
         this.scene.add(northWall);
 
         // South wall
@@ -236,6 +254,7 @@ export class WorldManager {
         southWall.position.set(centerX, y + wallHeight/2, centerZ + depth/2 + wallThickness/2);
         southWall.castShadow = true;
         southWall.receiveShadow = true;
+        southWall.userData.isWall = true;
         this.scene.add(southWall);
 
         // East wall
@@ -246,6 +265,7 @@ export class WorldManager {
         eastWall.position.set(centerX + width/2 + wallThickness/2, y + wallHeight/2, centerZ);
         eastWall.castShadow = true;
         eastWall.receiveShadow = true;
+        eastWall.userData.isWall = true;
         this.scene.add(eastWall);
 
         // West wall
@@ -256,7 +276,10 @@ export class WorldManager {
         westWall.position.set(centerX - width/2 - wallThickness/2, y + wallHeight/2, centerZ);
         westWall.castShadow = true;
         westWall.receiveShadow = true;
+        westWall.userData.isWall = true;
         this.scene.add(westWall);
+
+        return [northWall, southWall, eastWall, westWall];
     }
 
     createCorridor(centerX, centerZ, length, width, name) {
@@ -325,24 +348,36 @@ export class WorldManager {
         const door = new THREE.Mesh(doorGeometry, this.materials.door);
 
         door.position.set(x, doorHeight / 2, z);
-        door.rotation.y = rotation;
+        door.rotation.y = rotation + Math.PI / 2; // rotation is the way through - the panel spans across it
         door.castShadow = true;
         door.receiveShadow = true;
-
-        // Add door frame
-        const frameGeometry = new THREE.BoxGeometry(doorWidth + 0.4, doorHeight + 0.4, doorThickness + 0.2);
-        const frame = new THREE.Mesh(frameGeometry, this.materials.metal);
+        door.userData.surface = 'metal';
+
+        // Add door frame - a post either side and a lintel, open in the middle
+        const frame = new THREE.Group();
+        const postGeometry = new THREE.BoxGeometry(0.2, doorHeight, doorThickness + 0.2);
+        [-1, 1].forEach(side => {
+            const post = new THREE.Mesh(postGeometry, this.materials.metal);
+            post.position.x = side * (doorWidth / 2 + 0.1);
+            frame.add(post);
+        });
+        const lintel = new THREE.Mesh(new THREE.BoxGeometry(doorWidth + 0.4, 0.2, doorThickness + 0.2), this.materials.metal);
+        lintel.position.y = doorHeight / 2 + 0.1;
+        frame.add(lintel);
         frame.position.copy(door.position);
         frame.rotation.copy(door.rotation);
         this.scene.add(frame);
 
+        // Knock the doorway through the walls, so only the door itself decides whether it's blocked
+        this.cutDoorway(x, z, rotation, doorWidth);
+
         // Add door handle
         const handleGeometry = new THREE.SphereGeometry(0.05);
         const handle = new THREE.Mesh(handleGeometry, this.materials.metal);
         handle.position.set(
-            x + (rotation === 0 ? doorWidth/2 - 0.1 : 0),
+            x + (rotation === 0 ? 0 : doorWidth/2 - 0.1),
             doorHeight / 2,
-            z + (rotation === Math.PI / 2 ? doorWidth/2 - 0.1 : 0)
+            z + (rotation === 0 ? doorWidth/2 - 0.1 : 0)
         );
         this.scene.add(handle);
 
@@ -354,15 +389,173 @@ export class WorldManager {
             frame: frame,
             handle: handle,
             position: new THREE.Vector3(x, 0, z),
+            rotation, // 0 is walked through along x, PI/2 along z
             isOpen: false,
             isLocked: false,
-            requiredKey: null
+            requiredKey: null,
+            connects: this.getDoorwayAreas(x, z, rotation)
         };
 
         this.doors.push(doorObject);
         return doorObject;
     }
 
+    cutDoorway(x, z, rotation, width) {
+        // Rotation 0 doors are walked through along x, so they open a gap in walls running along z
+        const acrossX = rotation === 0;
+        const opening = new THREE.Box3(
+            new THREE.Vector3(x - (acrossX ? this.doorwayDepth : width / 2), 0.1, z - (acrossX ? width / 2 : this.doorwayDepth)),
+            new THREE.Vector3(x + (acrossX ? this.doorwayDepth : width / 2), this.wallHeight, z + (acrossX ? width / 2 : this.doorwayDepth))
+        );
+        const axis = acrossX ? 'z' : 'x';
+
+        this.rooms.forEach(room => {
+            room.objects = room.objects.flatMap(wall => {
+                if (!wall.userData.isWall) return [wall];
+
+                const bounds = new THREE.Box3().setFromObject(wall);
+                const size = bounds.getSize(new THREE.Vector3());
+                const runsAlongAxis = axis === 'z' ? size.z > size.x : size.x > size.z;
+                if (!runsAlongAxis || !bounds.intersectsBox(opening)) return [wall];
+
+                // Replaced by what's left either side of the gap
+                this.scene.remove(wall);
+                return [
+                    this.createWallSegment(wall, bounds, axis, bounds.min[axis], opening.min[axis]),
+                    this.createWallSegment(wall, bounds, axis, opening.max[axis], bounds.max[axis])
+                ].filter(Boolean);
+            });
+        });
+    }
+
+    createWallSegment(wall, bounds, axis, from, to) {
+        if (to - from < 0.01) return null;
+
+        const size = bounds.getSize(new THREE.Vector3());
+        const center = bounds.getCenter(new THREE.Vector3());
+        size[axis] = to - from;
+        center[axis] = (from + to) / 2;
+
+        const segment = new THREE.Mesh(new THREE.BoxGeometry(size.x, size.y, size.z), wall.material);
+        segment.position.copy(center);
+        segment.castShadow = true;
+        segment.receiveShadow = true;
+        segment.userData.isWall = true;
+        this.scene.add(segment);
+        return segment;
+    }
+
+    addPatrolRoutes() {
+        // Waypoints are walked in order - round and round, or there and back again.
+        // 'look' sweeps the area while waiting. 'door' opens the named door, so doors
+        // get a waypoint either side - the far one shuts it again behind the walker.
+        const routes = [
+            {
+                name: 'Hub Perimeter',
+                room: 'Central Hub',
+                loop: true,
+                waypoints: [
+                    { x: -14, z: -14, wait: 3, action: 'look' },
+                    { x: 14, z: -14, wait: 1 },
+                    { x: 14, z: 14, wait: 3, action: 'look' },
+                    { x: -14, z: 14, wait: 1 }
+                ]
+            },
+            {
+                name: 'Hub North Door',
+                room: 'Central Hub',
+                loop: false,
+                waypoints: [
+                    { x: -6, z: 8, wait: 2 },
+                    { x: 0, z: 15, wait: 1.5, action: 'door', door: 'Door 3' },
+                    { x: 0, z: 24, wait: 1, action: 'door', door: 'Door 3' },
+                    { x: -4, z: 26, wait: 4, action: 'look' }
+                ]
+            },
+            {
+                name: 'Comms Watch',
+                room: 'Communications Tower',
+                loop: false,
+                waypoints: [
+                    { x: 34, z: 0, wait: 3, action: 'look' },
+                    { x: 40, z: 6, wait: 1 },
+                    { x: 47, z: 0, wait: 1.5, action: 'door', door: 'Door 5' },
+                    { x: 53, z: 0, wait: 1, action: 'door', door: 'Door 5' },
+                    { x: 56, z: 4, wait: 4, action: 'look' }
+                ]
+            },
+            {
+                name: 'Lab Rounds',
+                room: 'Research Lab',
+                loop: true,
+                waypoints: [
+                    { x: -34, z: -6, wait: 3, action: 'look' },
+                    { x: -46, z: -6, wait: 1 },
+                    { x: -46, z: 6, wait: 3, action: 'look' },
+                    { x: -34, z: 6, wait: 1 }
+                ]
+            },
+            {
+                name: 'Quarters Rounds',
+                room: 'Living Quarters',
+                loop: false,
+                waypoints: [
+                    { x: -6, z: 34, wait: 3, action: 'look' },
+                    { x: 6, z: 34, wait: 1 },
+                    { x: 6, z: 44, wait: 2 },
+                    { x: 0, z: 47, wait: 1.5, action: 'door', door: 'Door 7' },
+                    { x: 0, z: 53, wait: 1, action: 'door', door: 'Door 7' },
+                    { x: 3, z: 56, wait: 4, action: 'look' }
+                ]
+            },
+            {
+                name: 'Storage Rounds',
+                room: 'Storage Facility',
+                loop: true,
+                waypoints: [
+                    { x: -6, z: -34, wait: 1 },
+                    { x: 6, z: -34, wait: 3, action: 'look' },
+                    { x: 6, z: -46, wait: 1 },
+                    { x: -6, z: -46, wait: 3, action: 'look' }
+                ]
+            },
+            {
+                name: 'Perimeter Walk',
+                room: 'Exterior',
+                loop: true,
+                waypoints: [
+                    { x: -26, z: -26, wait: 3, action: 'look' },
+                    { x: 26, z: -26, wait: 1 },
+                    { x: 26, z: 12, wait: 3, action: 'look' },
+                    { x: -26, z: 26, wait: 1 }
+                ]
+            }
+        ];
+
+        routes.forEach(route => this.createPatrolRoute(route));
+
+        if (this.showingPatrolRoutes) {
+            this.showPatrolRoutes(true);
+        }
+    }
+
+    createPatrolRoute({ name, room, loop = true, waypoints }) {
+        const patrolRoute = {
+            name,
+            room,
+            loop,
+            waypoints: waypoints.map(point => ({
+                position: new THREE.Vector3(point.x, 0, point.z),
+                wait: point.wait || 0, // seconds spent at the waypoint
+                action: point.action || null,
+                door: point.door || null
+            }))
+        };
+
+        this.patrolRoutes.push(patrolRoute);
+        return patrolRoute;
+    }
+
     addEnvironmentalDetails() {
         // Add computers and equipment
         this.addComputers();
@@ -435,43 +628,86 @@ export class WorldManager {
             { x: 3, z: 3, type: 'chair' },
             { x: -3, z: 3, type: 'table' },
             { x: 8, z: 8, type: 'chair' },
-            { x: -8, z: -8, type: 'table' }
+            { x: -8, z: -8, type: 'table' },
+
+            // Somewhere to hide - rotation turns the open side to face the room
+            { x: this.roomSize - 0.6, z: -8, type: 'locker', rotation: Math.PI / 2 },
+            { x: -10, z: -14, type: 'desk', rotation: Math.PI },
+            { x: this.roomSize * 2 + 4, z: -this.roomSize / 2 + 1.5, type: 'desk', rotation: Math.PI },
+            { x: -this.roomSize * 2, z: this.roomSize / 2 - 1.5, type: 'desk', rotation: 0 },
+            { x: -this.roomSize * 2.5 + 0.6, z: -3, type: 'locker', rotation: -Math.PI / 2 },
+            { x: -this.roomSize / 2 + 0.6, z: this.roomSize * 2 - 2, type: 'locker', rotation: -Math.PI / 2 },
+            { x: -this.roomSize / 2 + 0.6, z: this.roomSize * 2 - 1, type: 'locker', rotation: -Math.PI / 2 },
+            { x: this.roomSize / 2 - 0.6, z: -this.roomSize * 2 + 1, type: 'locker', rotation: Math.PI / 2 },
+            { x: this.roomSize / 2 - 0.6, z: -this.roomSize * 2, type: 'locker', rotation: Math.PI / 2 }
         ];
 
         furniturePositions.forEach(pos => {
-            this.createFurniture(pos.x, pos.z, pos.type);
+            this.createFurniture(pos.x, pos.z, pos.type, pos.rotation);
         });
     }
 
-    createFurniture(x, z, type) {
-        let geometry, material;
+    createFurniture(x, z, type, rotation = 0) {
+        let geometry, material, height;
 
         switch (type) {
             case 'chair':
                 geometry = new THREE.BoxGeometry(0.6, 0.8, 0.6);
                 material = this.materials.metal;
+                height = 0.4;
                 break;
             case 'table':
                 geometry = new THREE.BoxGeometry(1.2, 0.1, 0.8);
                 material = this.materials.metal;
+                height = 0.8;
+                break;
+            case 'locker':
+                geometry = new THREE.BoxGeometry(0.8, 2.0, 0.6);
+                material = this.materials.metal;
+                height = 1.0;
+                break;
+            case 'desk':
+                geometry = new THREE.BoxGeometry(1.6, 0.1, 0.9);
+                material = this.materials.metal;
+                height = 0.75;
                 break;
             default:
                 return;
         }
 
         const furniture = new THREE.Mesh(geometry, material);
-        furniture.position.set(x, type === 'chair' ? 0.4 : 0.8, z);
+        furniture.position.set(x, height, z);
+        furniture.rotation.y = rotation;
         furniture.castShadow = true;
+        furniture.userData.surface = 'metal';
         this.scene.add(furniture);
 
+        const hidingSpot = this.createHidingSpot(type, x, z, rotation);
         this.interactiveObjects.push({
             mesh: furniture,
             position: new THREE.Vector3(x, 0, z),
-            isInteractive: false,
-            type: 'furniture'
+            isInteractive: !!hidingSpot,
+            type: 'furniture',
+            hidingSpot
         });
     }
 
+    createHidingSpot(kind, x, z, facing) {
+        const spotType = this.hidingSpotTypes[kind];
+        if (!spotType) return null;
+
+        // Facing is a look direction like the player's yaw - straight out of the open side
+        const outward = new THREE.Vector3(-Math.sin(facing), 0, -Math.cos(facing));
+        return {
+            kind,
+            facing,
+            view: spotType.view,
+            eyePosition: new THREE.Vector3(x, spotType.eyeHeight, z),
+            approach: new THREE.Vector3(x, 0, z).addScaledVector(outward, spotType.approachDistance),
+            occupant: null // whoever is inside
+        };
+    }
+
     addSigns() {
         const signs = [
             { text: 'AUTHORIZED PERSONNEL ONLY', x: 0, z: 10, rotation: 0 },
@@ -896,20 +1132,102 @@ export class WorldManager {
         });
     }
 
+    getHidingSpots() {
+        // Anywhere someone could be shut away out of sight
+        return this.interactiveObjects.filter(obj => obj.hidingSpot);
+    }
+
+    getCollisionMeshes() {
+        // Solid geometry that blocks bullets and line of sight
+        const meshes = [];
+
+        this.rooms.forEach(room => meshes.push(...room.objects));
+        this.doors.forEach(door => meshes.push(door.mesh)); // not the frame - its box would fill the doorway
+        this.interactiveObjects.forEach(obj => {
+            if (obj.type === 'furniture' && obj.mesh) {
+                meshes.push(obj.mesh);
+            }
+        });
+
+        return meshes;
+    }
+
     getRoomAtPosition(position) {
         return this.rooms.find(room => room.bounds.containsPoint(position));
     }
 
+    getAreaName(position) {
+        const room = this.getRoomAtPosition(position);
+        return room ? room.name : 'Exterior';
+    }
+
+    getDoorwayAreas(x, z, rotation) {
+        // Areas either side of a doorway - rotation 0 doors are walked through along x
+        const offset = 1.5;
+        const step = rotation === 0 ? new THREE.Vector3(offset, 0, 0) : new THREE.Vector3(0, 0, offset);
+        const center = new THREE.Vector3(x, 1, z);
+
+        return [
+            this.getAreaName(center.clone().sub(step)),
+            this.getAreaName(center.clone().add(step))
+        ];
+    }
+
     unlockDoor(doorName, keyType) {
         const door = this.doors.find(d => d.name === doorName);
         if (door && door.requiredKey === keyType) {
             door.isLocked = false;
             // Animate door opening
+            this.emit('door_unlocked', { door });
             return true;
         }
         return false;
     }
 
+    lockDoor(doorName, keyType = null) {
+        const door = this.doors.find(d => d.name === doorName);
+        if (!door) return false;
+
+        door.isLocked = true;
+        this.setDoorOpen(door, false);
+        door.requiredKey = keyType;
+        this.emit('door_locked', { door });
+        return true;
+    }
+
+    openDoor(doorName) {
+        const door = this.doors.find(d => d.name === doorName);
+        if (!door || door.isLocked || door.isOpen) return false;
+
+        this.setDoorOpen(door, true);
+        return true;
+    }
+
+    closeDoor(doorName) {
+        const door = this.doors.find(d => d.name === doorName);
+        if (!door || !door.isOpen) return false;
+
+        this.setDoorOpen(door, false);
+        return true;
+    }
+
+    setDoorOpen(door, isOpen) {
+        if (door.isOpen === isOpen) return;
+
+        // Open doors slide up into the frame - physics moves the door's collider on the event
+        door.isOpen = isOpen;
+        door.mesh.position.y = isOpen ? this.wallHeight * 1.5 - 0.3 : this.wallHeight / 2;
+        this.emit(isOpen ? 'door_opened' : 'door_closed', { door });
+    }
+
+    // Event system
+    emit(eventType, data = {}) {
+        const event = new CustomEvent('worldEvent', {
+            detail: { type: eventType, ...data }
+        });
+        document.dispatchEvent(event);
+    }
+
     // Save/Load
     getSaveData() {
         return {
@@ -938,8 +1256,9 @@ export class WorldManager {
         saveData.doors.forEach(savedDoor => {
             const door = this.doors.find(d => d.name === savedDoor.name);
             if (door) {
-                door.isOpen = savedDoor.isOpen;
+                this.setDoorOpen(door, savedDoor.isOpen);
                 door.isLocked = savedDoor.isLocked;
+                this.emit(door.isLocked ? 'door_locked' : 'door_unlocked', { door });
             }
         });
 
@@ -968,11 +1287,14 @@ export class WorldManager {
             });
         });
 
+        this.removePatrolRouteDebug();
+
         // Clear arrays
         this.rooms = [];
         this.doors = [];
         this.interactiveObjects = [];
         this.lights = [];
+        this.patrolRoutes = [];
     }
 
     reset() {
@@ -990,4 +1312,49 @@ export class WorldManager {
     getRooms() { return this.rooms; }
     getDoors() { return this.doors; }
     getInteractiveObjects() { return this.interactiveObjects; }
+
+    getPatrolRoutes(roomName = null) {
+        return roomName ? this.patrolRoutes.filter(route => route.room === roomName) : this.patrolRoutes;
+    }
+
+    // Debug methods
+    showPatrolRoutes(visible) {
+        this.showingPatrolRoutes = visible;
+        this.removePatrolRouteDebug();
+        if (!visible) return;
+
+        // A line per route, with a marker at each waypoint coloured by what happens there
+        const markerColors = { look: 0xffff00, door: 0xff4444, wait: 0xffffff };
+        const markerGeometry = new THREE.SphereGeometry(0.25, 8, 8);
+        this.patrolRouteDebug = new THREE.Group();
+
+        this.patrolRoutes.forEach(route => {
+            const points = route.waypoints.map(waypoint => waypoint.position.clone().setY(0.1));
+            const geometry = new THREE.BufferGeometry().setFromPoints(points);
+            const material = new THREE.LineBasicMaterial({ color: 0x00ffff });
+            this.patrolRouteDebug.add(route.loop ? new THREE.LineLoop(geometry, material) : new THREE.Line(geometry, material));
+
+            route.waypoints.forEach(waypoint => {
+                const marker = new THREE.Mesh(
+                    markerGeometry,
+                    new THREE.MeshBasicMaterial({ color: markerColors[waypoint.action || 'wait'] })
+                );
+                marker.position.copy(waypoint.position).setY(0.25);
+                this.patrolRouteDebug.add(marker);
+            });
+        });
+
+        this.scene.add(this.patrolRouteDebug);
+    }
+
+    removePatrolRouteDebug() {
+        if (!this.patrolRouteDebug) return;
+
+        this.scene.remove(this.patrolRouteDebug);
+        this.patrolRouteDebug.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+        this.patrolRouteDebug = null;
+    }
 }
@@ -42,11 +42,16 @@ export class InputManager {
             jump: ['Space'],
             crouch: ['ControlLeft', 'ControlRight'],
             sprint: ['ShiftLeft', 'ShiftRight'],
+            leanLeft: ['KeyX'],
+            leanRight: ['KeyC'],
 
             // Combat
             shoot: ['leftMouse'],
+            aim: ['rightMouse', 'gamepad_button_6'], // left trigger
             reload: ['KeyR'],
             switchWeapon: ['KeyQ'],
+            throw: ['KeyG'],
+            melee: ['KeyV'],
 
             // Interaction
             interact: ['KeyE'],
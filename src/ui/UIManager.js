@@ -22,10 +22,16 @@ export class UIManager extends EventTarget {
                 screen: document.getElementById('game-hud'),
                 ammoCounter: document.querySelector('.ammo-current'),
                 ammoMax: document.querySelector('.ammo-max'),
+                weaponName: document.querySelector('.weapon-name'),
+                ammoDisplay: document.querySelector('.ammo-counter'),
+                batteryIndicator: document.querySelector('.battery-indicator'),
                 healthBar: document.querySelector('.health-fill'),
+                staminaBar: document.querySelector('.stamina-fill'),
                 batteryLevel: document.getElementById('battery-level'),
                 objectiveText: document.querySelector('.objective-text'),
                 interactionPrompt: document.querySelector('.interaction-prompt'),
+                hidingOverlay: document.querySelector('.hiding-overlay'),
+                crosshair: document.querySelector('.crosshair'),
                 madnessMeter: document.querySelector('.madness-fill')
             },
             loadGame: {
@@ -366,6 +372,11 @@ export class UIManager extends EventTarget {
 
         const hud = this.elements.gameHUD;
 
+        // Weapon
+        if (data.weapon !== undefined && hud.weaponName) {
+            hud.weaponName.textContent = data.weapon;
+        }
+
         // Ammo
         if (data.ammo !== undefined && hud.ammoCounter) {
             hud.ammoCounter.textContent = data.ammo;
@@ -374,6 +385,22 @@ export class UIManager extends EventTarget {
             hud.ammoMax.textContent = data.maxAmmo;
         }
 
+        // Crosshair
+        if (data.crosshairGap !== undefined && hud.crosshair) {
+            hud.crosshair.style.setProperty('--crosshair-gap', `${Math.round(data.crosshairGap) + 2}px`);
+        }
+        if (data.aiming !== undefined && hud.crosshair) {
+            hud.crosshair.classList.toggle('aiming', data.aiming);
+        }
+
+        // Malfunctions
+        if (data.weaponJammed !== undefined && hud.ammoDisplay) {
+            hud.ammoDisplay.classList.toggle('jammed', data.weaponJammed);
+        }
+        if (data.flashlightFailing !== undefined && hud.batteryIndicator) {
+            hud.batteryIndicator.classList.toggle('malfunction', data.flashlightFailing);
+        }
+
         // Health
         if (data.health !== undefined && data.maxHealth !== undefined && hud.healthBar) {
             const healthPercent = (data.health / data.maxHealth) * 100;
@@ -389,6 +416,14 @@ export class UIManager extends EventTarget {
             }
         }
 
+        // Stamina
+        if (data.stamina !== undefined && data.maxStamina !== undefined && hud.staminaBar) {
+            hud.staminaBar.style.width = `${(data.stamina / data.maxStamina) * 100}%`;
+        }
+        if (data.exhausted !== undefined && hud.staminaBar) {
+            hud.staminaBar.classList.toggle('exhausted', data.exhausted);
+        }
+
         // Battery
         if (data.battery !== undefined && hud.batteryLevel) {
             const batteryPercent = Math.round(data.battery);
@@ -440,6 +475,17 @@ export class UIManager extends EventTarget {
         }
     }
 
+    // Hiding view
+    setHidingView(kind) {
+        const overlay = this.elements.gameHUD.hidingOverlay;
+        if (!overlay) return;
+
+        overlay.classList.remove('locker', 'desk');
+        if (kind) {
+            overlay.classList.add(kind);
+        }
+    }
+
     // Game over screen
     updateGameOverScreen(ending) {
         if (!this.elements.gameOver) return;